@@ -0,0 +1,395 @@
+const A1_PART_PATTERN = /^\$?([A-Za-z]*)\$?(\d*)$/
+const R1C1_PART_PATTERN = /^(?:R(\d+|\[-?\d+\])?)?(?:C(\d+|\[-?\d+\])?)?$/i
+const SHEET_PATTERN = /^(?:'((?:[^']|'')+)'|([^'!]+))!(.*)$/s
+const PLAIN_SHEET_NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/
+const CELL_LIKE_PATTERN = /^(?:[A-Za-z]{1,3}\d+|R\d*C\d*)$/i
+
+/**
+ * A rectangle of cells with 1-based, inclusive row and column numbers, as
+ * Sheet.getRange(row, column) uses. Missing start bounds mean the first row or
+ * column and missing end bounds mean the last, so "B:D" has no row bounds and
+ * "B2:D" no end row.
+ */
+export type A1Range = {
+  /** Name of the sheet, undefined for ranges without a sheet prefix */
+  sheetName?: string
+  /** First row number */
+  startRow?: number
+  /** First column number */
+  startColumn?: number
+  /** Last row number */
+  endRow?: number
+  /** Last column number */
+  endColumn?: number
+}
+
+/**
+ * The cell that relative R1C1 references such as "R[1]C[-1]" are relative to
+ */
+export type R1C1Base = {
+  /** Row number of the cell */
+  row: number
+  /** Column number of the cell */
+  column: number
+}
+
+type RangePart = { row?: number; column?: number }
+
+/**
+ * Returns the column letters of a 1-based column number, such as "AA" for 27.
+ * @param column - The column number
+ * @returns The column letters, or undefined if the column is not a positive integer
+ */
+export function columnToLetters(column: number): string | undefined {
+  if (!Number.isInteger(column) || column < 1) return undefined
+  let letters = ''
+  for (let rest = column; rest > 0; rest = Math.floor((rest - 1) / 26)) {
+    letters = String.fromCharCode(65 + ((rest - 1) % 26)) + letters
+  }
+  return letters
+}
+
+/**
+ * Returns the 1-based column number of column letters, such as 27 for "AA".
+ * @param letters - The column letters, in any case
+ * @returns The column number, or undefined if the value is not column letters
+ */
+export function lettersToColumn(letters: string): number | undefined {
+  if (!/^[A-Za-z]+$/.test(letters)) return undefined
+  let column = 0
+  for (const letter of letters.toUpperCase()) {
+    column = column * 26 + letter.charCodeAt(0) - 64
+  }
+  return column
+}
+
+/**
+ * Parses A1 notation such as "B2", "'My Sheet'!B2:D5", "B2:D", "B:D" or "2:5".
+ * Absolute markers ($) are ignored and reversed bounds are swapped.
+ * @param notation - The A1 notation, with an optional sheet prefix
+ * @returns The range, or undefined if the notation is malformed
+ */
+export function parseA1(notation: string): A1Range | undefined {
+  const { sheetName, reference } = splitSheetName(String(notation).trim())
+  const [first, second, ...rest] = reference.split(':')
+  if (rest.length > 0) return undefined
+
+  const start = parseA1Part(first)
+  const end = second === undefined ? start : parseA1Part(second)
+  if (!start || !end) return undefined
+  // A single reference must be a cell, and only a cell can start an open range
+  if (second === undefined && !isCell(start)) return undefined
+  if (!isCell(start) && !hasSameBounds(start, end)) return undefined
+  return createRange(sheetName, start, end)
+}
+
+/**
+ * Formats a range as A1 notation, quoting the sheet name when needed. A range
+ * without any bounds formats as the sheet prefix alone.
+ * @param range - The range to format
+ * @returns The A1 notation, such as "'My Sheet'!B2:D"
+ */
+export function formatA1(range: A1Range): string {
+  const prefix = formatSheetName(range.sheetName)
+  // A missing start bound is the first row or column when the end has one
+  const start = formatA1Part(
+    range.startRow ?? (range.endRow === undefined ? undefined : 1),
+    range.startColumn ?? (range.endColumn === undefined ? undefined : 1),
+  )
+  const end = formatA1Part(range.endRow, range.endColumn)
+  if (!start) return prefix.slice(0, -1)
+  const isSingleCell =
+    start === end && range.startRow !== undefined && range.startColumn !== undefined
+  return isSingleCell ? `${prefix}${start}` : `${prefix}${start}:${end}`
+}
+
+/**
+ * Converts A1 notation to R1C1 notation, absolute by default or relative to the
+ * base cell.
+ * @param notation - The A1 notation, such as "Sheet1!B2:D5"
+ * @param base - The cell that relative references are relative to
+ * @returns The R1C1 notation, or undefined if the notation is malformed
+ */
+export function a1ToR1C1(notation: string, base?: R1C1Base): string | undefined {
+  const range = parseA1(notation)
+  if (!range) return undefined
+  const prefix = formatSheetName(range.sheetName)
+  const start = formatR1C1Part(range.startRow, range.startColumn, base)
+  const end = formatR1C1Part(range.endRow, range.endColumn, base)
+  return start === end && isCell({ row: range.startRow, column: range.startColumn })
+    ? `${prefix}${start}`
+    : `${prefix}${start}:${end}`
+}
+
+/**
+ * Converts R1C1 notation, such as "R2C2:R5C4" or "R[1]C[-1]", to A1 notation.
+ * Relative references need the base cell.
+ * @param notation - The R1C1 notation, with an optional sheet prefix
+ * @param base - The cell that relative references are relative to
+ * @returns The A1 notation, or undefined if the notation is malformed or relative
+ * without a base
+ */
+export function r1c1ToA1(notation: string, base?: R1C1Base): string | undefined {
+  const { sheetName, reference } = splitSheetName(String(notation).trim())
+  const [first, second, ...rest] = reference.split(':')
+  if (rest.length > 0) return undefined
+
+  const start = parseR1C1Part(first, base)
+  const end = second === undefined ? start : parseR1C1Part(second, base)
+  if (!start || !end) return undefined
+  if (!isCell(start) && !hasSameBounds(start, end)) return undefined
+  return formatA1(createRange(sheetName, start, end))
+}
+
+/**
+ * Moves a range by a number of rows and columns, like Range.offset.
+ * @param range - The range to move
+ * @param rows - Rows to move down, negative to move up
+ * @param columns - Columns to move right, negative to move left
+ * @returns The moved range
+ * @throws {RangeError} If the range would start before the first row or column
+ */
+export function offsetRange(range: A1Range, rows: number, columns = 0): A1Range {
+  const moved = {
+    row: shift(range.startRow, rows),
+    column: shift(range.startColumn, columns),
+  }
+  if ((moved.row ?? 1) < 1 || (moved.column ?? 1) < 1) {
+    throw new RangeError('Offset range starts outside the sheet')
+  }
+  return createRange(range.sheetName, moved, {
+    row: shift(range.endRow, rows),
+    column: shift(range.endColumn, columns),
+  })
+}
+
+/**
+ * Changes the number of rows and columns of a range, keeping its first cell.
+ * @param range - The range to resize
+ * @param rows - The new number of rows, undefined to keep the row bounds
+ * @param columns - The new number of columns, undefined to keep the column bounds
+ * @returns The resized range
+ * @throws {RangeError} If a size is not a positive integer
+ */
+export function resizeRange(range: A1Range, rows?: number, columns?: number): A1Range {
+  for (const size of [rows, columns]) {
+    if (size !== undefined && (!Number.isInteger(size) || size < 1)) {
+      throw new RangeError(`Invalid range size: ${size}`)
+    }
+  }
+  const startRow = rows === undefined ? range.startRow : (range.startRow ?? 1)
+  const startColumn =
+    columns === undefined ? range.startColumn : (range.startColumn ?? 1)
+  return createRange(
+    range.sheetName,
+    { row: startRow, column: startColumn },
+    {
+      row: rows === undefined ? range.endRow : (startRow as number) + rows - 1,
+      column:
+        columns === undefined ? range.endColumn : (startColumn as number) + columns - 1,
+    },
+  )
+}
+
+/**
+ * Returns the cells two ranges have in common.
+ * @param first - The first range
+ * @param second - The second range
+ * @returns The overlapping range, or undefined if the ranges do not overlap or are
+ * on different sheets
+ */
+export function intersectRanges(first: A1Range, second: A1Range): A1Range | undefined {
+  if (!isSameSheet(first, second)) return undefined
+  const start = {
+    row: maxBound(first.startRow, second.startRow),
+    column: maxBound(first.startColumn, second.startColumn),
+  }
+  const end = {
+    row: minBound(first.endRow, second.endRow),
+    column: minBound(first.endColumn, second.endColumn),
+  }
+  const isEmpty =
+    (start.row ?? 1) > (end.row ?? Number.POSITIVE_INFINITY) ||
+    (start.column ?? 1) > (end.column ?? Number.POSITIVE_INFINITY)
+  return isEmpty
+    ? undefined
+    : createRange(first.sheetName ?? second.sheetName, start, end)
+}
+
+/**
+ * Returns the smallest range that covers both ranges.
+ * @param first - The first range
+ * @param second - The second range
+ * @returns The covering range
+ * @throws {RangeError} If the ranges are on different sheets
+ */
+export function unionRanges(first: A1Range, second: A1Range): A1Range {
+  if (!isSameSheet(first, second)) {
+    throw new RangeError('Cannot combine ranges on different sheets')
+  }
+  return createRange(
+    first.sheetName ?? second.sheetName,
+    {
+      row: minBound(first.startRow, second.startRow, true),
+      column: minBound(first.startColumn, second.startColumn, true),
+    },
+    {
+      row: maxBound(first.endRow, second.endRow, true),
+      column: maxBound(first.endColumn, second.endColumn, true),
+    },
+  )
+}
+
+/**
+ * Returns true if every cell of the inner range is in the outer range. Ranges
+ * without a sheet name match any sheet.
+ * @param outer - The containing range
+ * @param inner - The range or cell to look for
+ */
+export function rangeContains(outer: A1Range, inner: A1Range): boolean {
+  if (!isSameSheet(outer, inner)) return false
+  const end = Number.POSITIVE_INFINITY
+  return (
+    (outer.startRow ?? 1) <= (inner.startRow ?? 1) &&
+    (outer.startColumn ?? 1) <= (inner.startColumn ?? 1) &&
+    (outer.endRow ?? end) >= (inner.endRow ?? end) &&
+    (outer.endColumn ?? end) >= (inner.endColumn ?? end)
+  )
+}
+
+function splitSheetName(notation: string) {
+  const match = SHEET_PATTERN.exec(notation)
+  if (!match) return { sheetName: undefined, reference: notation }
+  const sheetName =
+    match[1] === undefined ? match[2].trim() : match[1].replace(/''/g, "'")
+  return { sheetName, reference: match[3] }
+}
+
+function formatSheetName(sheetName: string | undefined) {
+  if (sheetName === undefined) return ''
+  const isPlain =
+    PLAIN_SHEET_NAME_PATTERN.test(sheetName) && !CELL_LIKE_PATTERN.test(sheetName)
+  return isPlain ? `${sheetName}!` : `'${sheetName.replace(/'/g, "''")}'!`
+}
+
+function formatA1Part(row: number | undefined, column: number | undefined) {
+  return `${columnToLetters(column ?? 0) ?? ''}${row ?? ''}`
+}
+
+function parseA1Part(text: string): RangePart | undefined {
+  const match = A1_PART_PATTERN.exec(text)
+  if (!match || (!match[1] && !match[2])) return undefined
+  const row = match[2] ? Number(match[2]) : undefined
+  if (row === 0) return undefined
+  return { row, column: match[1] ? lettersToColumn(match[1]) : undefined }
+}
+
+function parseR1C1Part(text: string, base?: R1C1Base): RangePart | undefined {
+  const match = R1C1_PART_PATTERN.exec(text)
+  if (!match || !text) return undefined
+  const hasRow = /^R/i.test(text)
+  const hasColumn = /C/i.test(text)
+  const row = hasRow ? resolveR1C1Index(match[1], base?.row) : undefined
+  const column = hasColumn ? resolveR1C1Index(match[2], base?.column) : undefined
+  if ((hasRow && row === undefined) || (hasColumn && column === undefined)) {
+    return undefined
+  }
+  return { row, column }
+}
+
+// "R2" is absolute, "R[-1]" relative and a bare "R" is the base row itself
+function resolveR1C1Index(token: string | undefined, base: number | undefined) {
+  if (token !== undefined && !token.startsWith('[')) {
+    const index = Number(token)
+    return index >= 1 ? index : undefined
+  }
+  if (base === undefined) return undefined
+  const index = base + (token === undefined ? 0 : Number(token.slice(1, -1)))
+  return index >= 1 ? index : undefined
+}
+
+function formatR1C1Part(
+  row: number | undefined,
+  column: number | undefined,
+  base: R1C1Base | undefined,
+) {
+  return `${formatR1C1Index('R', row, base?.row)}${formatR1C1Index('C', column, base?.column)}`
+}
+
+function formatR1C1Index(
+  axis: string,
+  index: number | undefined,
+  base: number | undefined,
+) {
+  if (index === undefined) return ''
+  if (base === undefined) return `${axis}${index}`
+  return index === base ? axis : `${axis}[${index - base}]`
+}
+
+function createRange(
+  sheetName: string | undefined,
+  start: RangePart,
+  end: RangePart,
+): A1Range {
+  const range: A1Range = {}
+  if (sheetName !== undefined) range.sheetName = sheetName
+  const [startRow, endRow] = order(start.row, end.row)
+  const [startColumn, endColumn] = order(start.column, end.column)
+  if (startRow !== undefined) range.startRow = startRow
+  if (startColumn !== undefined) range.startColumn = startColumn
+  if (endRow !== undefined) range.endRow = endRow
+  if (endColumn !== undefined) range.endColumn = endColumn
+  return range
+}
+
+function order(start: number | undefined, end: number | undefined) {
+  return start !== undefined && end !== undefined && start > end
+    ? [end, start]
+    : [start, end]
+}
+
+function isCell(part: RangePart) {
+  return part.row !== undefined && part.column !== undefined
+}
+
+function hasSameBounds(start: RangePart, end: RangePart) {
+  return (
+    (start.row === undefined) === (end.row === undefined) &&
+    (start.column === undefined) === (end.column === undefined)
+  )
+}
+
+function isSameSheet(first: A1Range, second: A1Range) {
+  return (
+    first.sheetName === undefined ||
+    second.sheetName === undefined ||
+    first.sheetName === second.sheetName
+  )
+}
+
+function shift(index: number | undefined, delta: number) {
+  return index === undefined ? undefined : index + delta
+}
+
+// Missing bounds are unbounded: with loose set, any missing bound wins
+function minBound(
+  first: number | undefined,
+  second: number | undefined,
+  loose = false,
+) {
+  if (first === undefined || second === undefined) {
+    return loose ? undefined : (first ?? second)
+  }
+  return Math.min(first, second)
+}
+
+function maxBound(
+  first: number | undefined,
+  second: number | undefined,
+  loose = false,
+) {
+  if (first === undefined || second === undefined) {
+    return loose ? undefined : (first ?? second)
+  }
+  return Math.max(first, second)
+}
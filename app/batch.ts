@@ -0,0 +1,208 @@
+import type { PropertyStore } from './config.js'
+
+/**
+ * The ScriptApp methods runBatch uses to schedule its continuation, so a fake can
+ * stand in
+ */
+export type TriggerApi = Pick<
+  GoogleAppsScript.Script.ScriptApp,
+  'newTrigger' | 'getProjectTriggers' | 'deleteTrigger'
+>
+
+/**
+ * Where a batch is and what it has collected, passed to process
+ */
+export type BatchContext<S> = {
+  /** Index of the first item of the chunk */
+  start: number
+  /** State returned by the previous chunk, or the initial state */
+  state: S
+}
+
+/**
+ * Progress of a batch, reported after every chunk and returned by runBatch
+ */
+export type BatchProgress<S> = {
+  /** Name of the batch */
+  name: string
+  /** Items processed across every run */
+  processed: number
+  /** Number of items, undefined when they are read chunk by chunk */
+  total: number | undefined
+  /** Number of the current run, starting at 1 */
+  runs: number
+  /** Milliseconds spent in the current run */
+  elapsed: number
+  /** State after the last chunk */
+  state: S
+  /** "running" between chunks, "paused" when a continuation is scheduled */
+  status: 'running' | 'paused' | 'done'
+}
+
+/**
+ * Settings for runBatch
+ */
+export type BatchOptions<T, S> = {
+  /** Unique name of the batch, which keys its saved cursor and state */
+  name: string
+  /** Name of the global function that calls runBatch again when triggered */
+  handler: string
+  /** The items, or a function returning count items from start (fewer at the end) */
+  items: readonly T[] | ((start: number, count: number) => readonly T[])
+  /** Processes one chunk and returns the new state, or nothing to keep the state */
+  process: (chunk: T[], context: BatchContext<S>) => S | undefined
+  /** State of the first run; it is saved as JSON, so keep it small */
+  initialState?: S
+  /** Items per chunk, 100 by default */
+  chunkSize?: number
+  /** Milliseconds a run may take before it pauses, 270000 by default */
+  budget?: number
+  /** Milliseconds before the continuation trigger fires, 60000 by default */
+  resumeAfter?: number
+  /** Called after every chunk and when the run pauses or finishes */
+  onProgress?: (progress: BatchProgress<S>) => void
+  /** Returns the current time in milliseconds, Date.now by default */
+  now?: () => number
+  /** Where the cursor and state are saved, script properties by default */
+  store?: PropertyStore
+  /** Schedules continuations, ScriptApp by default */
+  triggers?: TriggerApi
+}
+
+type SavedBatch<S> = { cursor: number; state: S; runs: number; triggerId?: string }
+
+const DEFAULT_CHUNK_SIZE = 100
+// Leaves 90 seconds of the 6-minute execution limit for the slowest chunk
+const DEFAULT_BUDGET = 270000
+const DEFAULT_RESUME_AFTER = 60000
+const STATE_PREFIX = 'batch:'
+
+/**
+ * Processes items in chunks within the 6-minute execution limit. The cursor and
+ * state are saved after every chunk; when the time budget runs out, a time-based
+ * trigger calls the handler again, which resumes where the run stopped. When
+ * every item is processed the saved state is deleted. If process throws, the
+ * batch stops at the last saved chunk and resumes on the next call.
+ * @param options - The items, how to process them and where to save progress
+ * @returns The progress when the run paused or finished
+ * @throws {RangeError} If chunkSize is not a positive integer
+ */
+export function runBatch<T, S = undefined>(
+  options: BatchOptions<T, S>,
+): BatchProgress<S> {
+  const now = options.now ?? Date.now
+  const store = options.store ?? PropertiesService.getScriptProperties()
+  const triggers = options.triggers ?? ScriptApp
+  const chunkSize = options.chunkSize ?? DEFAULT_CHUNK_SIZE
+  if (!Number.isInteger(chunkSize) || chunkSize < 1) {
+    throw new RangeError(`Invalid chunk size: ${chunkSize}`)
+  }
+  const budget = options.budget ?? DEFAULT_BUDGET
+  const key = `${STATE_PREFIX}${options.name}`
+  const started = now()
+
+  // The trigger that started this run has fired, so it is no longer needed
+  const saved = readSavedBatch<S>(store, key)
+  if (saved?.triggerId) deleteTrigger(triggers, saved.triggerId)
+  let cursor = saved?.cursor ?? 0
+  let state = saved ? saved.state : (options.initialState as S)
+  const runs = (saved?.runs ?? 0) + 1
+  const total = typeof options.items === 'function' ? undefined : options.items.length
+  let slowest = 0
+
+  const report = (status: BatchProgress<S>['status']) => {
+    const progress = {
+      name: options.name,
+      processed: cursor,
+      total,
+      runs,
+      elapsed: now() - started,
+      state,
+      status,
+    }
+    options.onProgress?.(progress)
+    return progress
+  }
+
+  while (true) {
+    const chunk = readChunk(options.items, cursor, chunkSize)
+    if (chunk.length > 0) {
+      const chunkStarted = now()
+      const result = options.process(chunk, { start: cursor, state })
+      if (result !== undefined) state = result
+      cursor += chunk.length
+      slowest = Math.max(slowest, now() - chunkStarted)
+    }
+    if (chunk.length < chunkSize) {
+      store.deleteProperty(key)
+      return report('done')
+    }
+
+    // Pause before a chunk as slow as the slowest one so far would overrun
+    if (now() - started + slowest > budget) {
+      const triggerId = triggers
+        .newTrigger(options.handler)
+        .timeBased()
+        .after(options.resumeAfter ?? DEFAULT_RESUME_AFTER)
+        .create()
+        .getUniqueId()
+      saveBatch(store, key, { cursor, state, runs, triggerId })
+      return report('paused')
+    }
+    saveBatch(store, key, { cursor, state, runs })
+    report('running')
+  }
+}
+
+/**
+ * Deletes the saved progress and the continuation trigger of a batch, so the next
+ * runBatch starts from the first item.
+ * @param name - The name of the batch
+ * @param options - The store and trigger API the batch uses
+ * @returns True if the batch had saved progress
+ */
+export function resetBatch(
+  name: string,
+  options?: Pick<BatchOptions<unknown, unknown>, 'store' | 'triggers'>,
+): boolean {
+  const store = options?.store ?? PropertiesService.getScriptProperties()
+  const key = `${STATE_PREFIX}${name}`
+  const saved = readSavedBatch(store, key)
+  if (!saved) return false
+  if (saved.triggerId) deleteTrigger(options?.triggers ?? ScriptApp, saved.triggerId)
+  store.deleteProperty(key)
+  return true
+}
+
+function readChunk<T>(
+  items: BatchOptions<T, unknown>['items'],
+  start: number,
+  count: number,
+): T[] {
+  return typeof items === 'function'
+    ? [...items(start, count)]
+    : items.slice(start, start + count)
+}
+
+function readSavedBatch<S>(
+  store: PropertyStore,
+  key: string,
+): SavedBatch<S> | undefined {
+  const text = store.getProperty(key)
+  if (!text) return undefined
+  try {
+    return JSON.parse(text) as SavedBatch<S>
+  } catch (_error) {
+    return undefined
+  }
+}
+
+function saveBatch<S>(store: PropertyStore, key: string, saved: SavedBatch<S>) {
+  store.setProperties({ [key]: JSON.stringify(saved) }, false)
+}
+
+function deleteTrigger(triggers: TriggerApi, triggerId: string) {
+  for (const trigger of triggers.getProjectTriggers()) {
+    if (trigger.getUniqueId() === triggerId) triggers.deleteTrigger(trigger)
+  }
+}
@@ -0,0 +1,229 @@
+import { toDate } from './type-cast.js'
+import { isDate, isPlainObject } from './type-check.js'
+
+/**
+ * The CacheService methods TypedCache uses, so an in-memory cache can stand in
+ */
+export type CacheStore = Pick<
+  GoogleAppsScript.Cache.Cache,
+  'get' | 'getAll' | 'putAll' | 'removeAll'
+>
+
+/**
+ * Settings for TypedCache and memoize
+ */
+export type CacheOptions = {
+  /** Prefix of every key, joined with ":" */
+  namespace?: string
+  /** Seconds to keep values, 600 by default and at most 21600 */
+  ttl?: number
+  /** Backing cache, CacheService.getScriptCache() by default */
+  store?: CacheStore
+}
+
+/**
+ * Settings for memoize
+ */
+export type MemoizeOptions<A extends unknown[]> = CacheOptions & {
+  /** Returns the cache key of the arguments, their JSON by default */
+  keyFn?: (...args: A) => string
+}
+
+const DEFAULT_TTL = 600
+const MAX_TTL = 21600
+const MAX_KEY_LENGTH = 250
+// CacheService rejects values over 100KB, so leave room for the key
+const CHUNK_BYTES = 100 * 1024 - 512
+const CHUNK_SUFFIX_LENGTH = 12
+const FNV_OFFSET = 0x811c9dc5
+const FNV_OFFSET_ALT = 0x050c5d1f
+
+type CacheEntry = { value?: unknown; chunks?: number; checksum?: string }
+
+/**
+ * A CacheService cache for any JSON value. Dates survive the round trip, values
+ * over the 100KB limit are split across several keys and checked when they are
+ * joined again, and a missing or mismatched chunk reads as a cache miss.
+ */
+export class TypedCache {
+  private readonly store: CacheStore
+  private readonly namespace: string
+  private readonly ttl: number
+
+  /**
+   * @param options - Namespace, time to live and backing cache
+   */
+  constructor(options?: CacheOptions) {
+    this.store = options?.store ?? CacheService.getScriptCache()
+    this.namespace = options?.namespace ?? ''
+    this.ttl = options?.ttl ?? DEFAULT_TTL
+  }
+
+  /**
+   * Returns a cached value, or undefined if it is missing or incomplete.
+   * @param key - The key within the namespace
+   */
+  get<T = unknown>(key: string): T | undefined {
+    const cacheKey = this.toCacheKey(key)
+    const entry = parseEntry(this.store.get(cacheKey))
+    if (!entry?.chunks) return entry?.value as T | undefined
+
+    const chunkKeys = listChunkKeys(cacheKey, entry.chunks)
+    const chunks = this.store.getAll(chunkKeys)
+    if (chunkKeys.some((chunkKey) => typeof chunks[chunkKey] !== 'string')) {
+      return undefined
+    }
+    const text = chunkKeys.map((chunkKey) => chunks[chunkKey]).join('')
+    if (checksum(text) !== entry.checksum) return undefined
+    return parseEntry(text)?.value as T | undefined
+  }
+
+  /**
+   * Caches a value, splitting it across several keys if it is too large.
+   * @param key - The key within the namespace
+   * @param value - Any JSON value, Dates included
+   * @param ttl - Seconds to keep the value, the cache's ttl by default
+   */
+  put(key: string, value: unknown, ttl?: number): void {
+    const cacheKey = this.toCacheKey(key)
+    const text = serialize({ value })
+    const seconds = Math.min(ttl ?? this.ttl, MAX_TTL)
+    const chunks = splitBytes(text, CHUNK_BYTES)
+    if (chunks.length === 1) {
+      this.store.putAll({ [cacheKey]: text }, seconds)
+      return
+    }
+
+    const entries: Record<string, string> = {
+      [cacheKey]: JSON.stringify({ chunks: chunks.length, checksum: checksum(text) }),
+    }
+    listChunkKeys(cacheKey, chunks.length).forEach((chunkKey, index) => {
+      entries[chunkKey] = chunks[index]
+    })
+    this.store.putAll(entries, seconds)
+  }
+
+  /**
+   * Removes a cached value and its chunks.
+   * @param key - The key within the namespace
+   */
+  remove(key: string): void {
+    const cacheKey = this.toCacheKey(key)
+    const entry = parseEntry(this.store.get(cacheKey))
+    this.store.removeAll([cacheKey, ...listChunkKeys(cacheKey, entry?.chunks ?? 0)])
+  }
+
+  /**
+   * Returns the cached value, or loads and caches it. Undefined results are not
+   * cached.
+   * @param key - The key within the namespace
+   * @param load - Returns the value when it is not cached
+   * @param ttl - Seconds to keep a loaded value, the cache's ttl by default
+   */
+  getOrLoad<T>(key: string, load: () => T, ttl?: number): T {
+    const cached = this.get<T>(key)
+    if (cached !== undefined) return cached
+    const value = load()
+    if (value !== undefined) this.put(key, value, ttl)
+    return value
+  }
+
+  private toCacheKey(key: string): string {
+    const cacheKey = this.namespace ? `${this.namespace}:${key}` : key
+    if (cacheKey.length <= MAX_KEY_LENGTH - CHUNK_SUFFIX_LENGTH) return cacheKey
+    // Long keys are hashed to fit the 250 character limit of CacheService, in plain
+    // code so injected stores work without Utilities; two seeds make 64 bits
+    const hash = `${fnv1a(cacheKey, FNV_OFFSET)}${fnv1a(cacheKey, FNV_OFFSET_ALT)}`
+    return `${this.namespace.slice(0, 100)}#${cacheKey.length}:${hash}`
+  }
+}
+
+/**
+ * Wraps a function so results are cached by its arguments, for expensive Sheets
+ * reads and UrlFetch lookups. Results come back through JSON, so they should be
+ * plain data; undefined results are not cached. The namespace defaults to the
+ * function's name, and is required for anonymous functions.
+ * @param fn - The function to cache
+ * @param options - Cache settings and the key of each call
+ * @returns The caching function
+ */
+export function memoize<A extends unknown[], R>(
+  fn: (...args: A) => R,
+  options?: MemoizeOptions<A>,
+): (...args: A) => R {
+  // Anonymous functions would all share one namespace and read each other's results
+  if (!options?.namespace && !fn.name) {
+    throw new TypeError('memoize needs a namespace for anonymous functions')
+  }
+  const cache = new TypedCache({
+    ...options,
+    namespace: options?.namespace ?? `memoize:${fn.name}`,
+  })
+  const keyFn = options?.keyFn ?? ((...args: A) => serialize(args))
+  return (...args: A) => cache.getOrLoad(keyFn(...args), () => fn(...args))
+}
+
+function serialize(value: unknown): string {
+  // The replacer sees Dates after toJSON, so read the raw value from the holder
+  return JSON.stringify(value, function (this: Record<string, unknown>, key, item) {
+    const raw = this[key]
+    return isDate(raw) ? { $date: raw.toISOString() } : item
+  })
+}
+
+function parseEntry(text: string | null | undefined): CacheEntry | undefined {
+  if (typeof text !== 'string') return undefined
+  try {
+    return JSON.parse(text, (_key, value) =>
+      isPlainObject(value) && typeof value.$date === 'string'
+        ? toDate(value.$date)
+        : value,
+    )
+  } catch (_error) {
+    return undefined
+  }
+}
+
+function listChunkKeys(cacheKey: string, count: number): string[] {
+  return Array.from({ length: count }, (_, index) => `${cacheKey}#chunk${index}`)
+}
+
+// Splits on code points so multi-byte characters are never cut in half
+function splitBytes(text: string, maxBytes: number): string[] {
+  const chunks: string[] = []
+  let chunk = ''
+  let bytes = 0
+  for (const character of text) {
+    const size = utf8Length(character.codePointAt(0) as number)
+    if (bytes + size > maxBytes) {
+      chunks.push(chunk)
+      chunk = ''
+      bytes = 0
+    }
+    chunk += character
+    bytes += size
+  }
+  chunks.push(chunk)
+  return chunks
+}
+
+function utf8Length(codePoint: number) {
+  if (codePoint < 0x80) return 1
+  if (codePoint < 0x800) return 2
+  return codePoint < 0x10000 ? 3 : 4
+}
+
+// The length catches truncation
+function checksum(text: string): string {
+  return `${text.length}:${fnv1a(text, FNV_OFFSET)}`
+}
+
+// FNV-1a over the UTF-16 code units, as 8 hex digits
+function fnv1a(text: string, offset: number): string {
+  let hash = offset
+  for (let index = 0; index < text.length; index++) {
+    hash ^= text.charCodeAt(index)
+    hash = Math.imul(hash, 0x01000193)
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0')
+}
@@ -0,0 +1,310 @@
+import type { InferSchema, Schema, SchemaError } from './schema.js'
+import { toJson } from './type-cast.js'
+import { isDate } from './type-check.js'
+
+/**
+ * A setting stored under one property
+ */
+export type ConfigSetting<T = unknown> = {
+  /** Coerces the stored text, such as numberSchema() or arraySchema(stringSchema()) */
+  schema: Schema<T>
+  /** Value used when the property is missing or malformed */
+  default?: T
+  /** Report the setting when it is missing and has no default */
+  required?: boolean
+  /** Leave the stored text out of reports and error messages */
+  secret?: boolean
+  /** Keys the setting was stored under before it was renamed, newest first */
+  previousKeys?: readonly string[]
+}
+
+/**
+ * The settings of a ConfigStore, keyed by setting name
+ */
+export type ConfigSettings = Record<string, ConfigSetting>
+
+/**
+ * The values of a ConfigStore: settings that are required or have a default are
+ * always set
+ */
+export type InferConfig<S extends ConfigSettings> = {
+  [K in keyof S]: S[K] extends { required: true } | { default: unknown }
+    ? InferSchema<S[K]['schema']>
+    : InferSchema<S[K]['schema']> | undefined
+}
+
+/**
+ * The Properties methods ConfigStore uses, so an in-memory store can stand in
+ */
+export type PropertyStore = Pick<
+  GoogleAppsScript.Properties.Properties,
+  'getProperty' | 'getProperties' | 'setProperties' | 'deleteProperty'
+>
+
+/**
+ * Where a ConfigStore keeps its properties
+ */
+export type ConfigOptions = {
+  /** PropertiesService store to use, "script" by default */
+  scope?: 'script' | 'user' | 'document'
+  /** Prefix of every property key, joined with ":" */
+  namespace?: string
+  /** Backing store, which overrides scope */
+  store?: PropertyStore
+}
+
+/**
+ * A setting that is missing or does not match its schema
+ */
+export type ConfigIssue = {
+  /** Name of the setting */
+  key: string
+  /** Property the malformed text was read from */
+  property?: string
+  /** Whether the setting is missing or malformed */
+  problem: 'missing' | 'malformed'
+  /** Why the setting was rejected */
+  message: string
+  /** The stored text, left out for secret settings */
+  value?: string
+}
+
+/**
+ * Result of validating every setting
+ */
+export type ConfigReport = {
+  /** True if no setting has an issue */
+  ok: boolean
+  /** Every missing or malformed setting, in declaration order */
+  issues: ConfigIssue[]
+}
+
+/**
+ * Typed settings over PropertiesService. Values are written as text (Dates as ISO
+ * strings, arrays and objects as JSON) and read back through each setting's
+ * schema. getAll, validate and migrate read every property with a single
+ * getProperties() call.
+ */
+export class ConfigStore<S extends ConfigSettings> {
+  private readonly settings: S
+  private readonly store: PropertyStore
+  private readonly namespace: string
+
+  /**
+   * @param settings - The type, default and flags of each setting
+   * @param options - The properties store and namespace
+   */
+  constructor(settings: S, options?: ConfigOptions) {
+    this.settings = settings
+    this.store = options?.store ?? getPropertyStore(options?.scope ?? 'script')
+    this.namespace = options?.namespace ?? ''
+  }
+
+  /**
+   * Returns one setting, falling back to its previous keys and its default.
+   * @param key - The setting name
+   * @returns The typed value
+   * @throws {TypeError} If the setting is required and missing, or malformed
+   */
+  get<K extends keyof S & string>(key: K): InferConfig<S>[K] {
+    const issues: ConfigIssue[] = []
+    const value = this.read(key, (property) => this.store.getProperty(property), issues)
+    if (issues.length > 0) throw createConfigError(issues)
+    return value as InferConfig<S>[K]
+  }
+
+  /**
+   * Returns every setting.
+   * @returns The typed values
+   * @throws {TypeError} If a required setting is missing or any setting is malformed
+   */
+  getAll(): InferConfig<S> {
+    const issues: ConfigIssue[] = []
+    const values = this.readAll(issues)
+    if (issues.length > 0) throw createConfigError(issues)
+    return values
+  }
+
+  /**
+   * Stores one setting after checking it against its schema.
+   * @param key - The setting name
+   * @param value - The new value
+   * @throws {TypeError} If the value does not match the schema
+   */
+  set<K extends keyof S & string>(key: K, value: InferSchema<S[K]['schema']>): void {
+    this.setAll({ [key]: value } as Partial<InferConfig<S>>)
+  }
+
+  /**
+   * Stores several settings with one setProperties() call, after checking all of
+   * them. Undefined values are skipped.
+   * @param values - The new values
+   * @throws {TypeError} If any value does not match its schema
+   */
+  setAll(values: Partial<InferConfig<S>>): void {
+    const properties: Record<string, string> = {}
+    const errors: SchemaError[] = []
+    for (const key of Object.keys(values)) {
+      const value = (values as Record<string, unknown>)[key]
+      if (value === undefined) continue
+      const checked = this.getSetting(key).schema.check(value, key, errors)
+      properties[this.toProperty(key)] = toPropertyValue(checked)
+    }
+    if (errors.length > 0) {
+      const details = errors
+        .map((error) => `${error.path}: ${error.message}`)
+        .join('; ')
+      throw new TypeError(`Invalid configuration: ${details}`)
+    }
+    this.store.setProperties(properties, false)
+  }
+
+  /**
+   * Deletes a setting and its previous keys, so it reads as its default again.
+   * @param key - The setting name
+   */
+  delete<K extends keyof S & string>(key: K): void {
+    for (const property of this.listProperties(key)) this.store.deleteProperty(property)
+  }
+
+  /**
+   * Lists every missing or malformed setting without throwing.
+   * @returns The report of every setting
+   */
+  validate(): ConfigReport {
+    const issues: ConfigIssue[] = []
+    this.readAll(issues)
+    return { ok: issues.length === 0, issues }
+  }
+
+  /**
+   * Moves settings stored under previous keys to their current key and deletes
+   * the previous keys.
+   * @returns The names of the settings that were moved
+   */
+  migrate(): string[] {
+    const stored = this.store.getProperties()
+    const moved: Record<string, string> = {}
+    const stale: string[] = []
+    for (const key of Object.keys(this.settings)) {
+      const [property, ...previous] = this.listProperties(key)
+      for (const previousProperty of previous) {
+        const text = stored[previousProperty]
+        if (text === undefined) continue
+        stale.push(previousProperty)
+        const isFirst = isMissing(stored[property]) && moved[property] === undefined
+        if (!isMissing(text) && isFirst) {
+          moved[property] = text
+        }
+      }
+    }
+    if (Object.keys(moved).length > 0) this.store.setProperties(moved, false)
+    for (const property of stale) this.store.deleteProperty(property)
+    return Object.keys(this.settings).filter(
+      (key) => moved[this.toProperty(key)] !== undefined,
+    )
+  }
+
+  private readAll(issues: ConfigIssue[]): InferConfig<S> {
+    const stored = this.store.getProperties()
+    const values: Record<string, unknown> = {}
+    for (const key of Object.keys(this.settings)) {
+      const value = this.read(key, (property) => stored[property], issues)
+      if (value !== undefined) values[key] = value
+    }
+    return values as InferConfig<S>
+  }
+
+  private read(
+    key: string,
+    lookup: (property: string) => string | null | undefined,
+    issues: ConfigIssue[],
+  ): unknown {
+    const setting = this.getSetting(key)
+    for (const property of this.listProperties(key)) {
+      const text = lookup(property)
+      if (isMissing(text)) continue
+
+      const errors: SchemaError[] = []
+      const value = checkStoredValue(setting.schema, text, key, errors)
+      if (errors.length === 0) return value
+      issues.push({
+        key,
+        property,
+        problem: 'malformed',
+        message: errors
+          .map((error) =>
+            error.path === key ? error.message : `${error.path}: ${error.message}`,
+          )
+          .join('; '),
+        ...(setting.secret ? {} : { value: text }),
+      })
+      return setting.default
+    }
+
+    if (setting.required && setting.default === undefined) {
+      issues.push({ key, problem: 'missing', message: 'Required' })
+    }
+    return setting.default
+  }
+
+  private getSetting(key: string): ConfigSetting {
+    const setting = this.settings[key]
+    if (!setting) throw new TypeError(`Unknown setting: ${key}`)
+    return setting
+  }
+
+  private listProperties(key: string): string[] {
+    const previousKeys = this.getSetting(key).previousKeys ?? []
+    return [key, ...previousKeys].map((name) => this.toProperty(name))
+  }
+
+  private toProperty(key: string): string {
+    return this.namespace ? `${this.namespace}:${key}` : key
+  }
+}
+
+function getPropertyStore(scope: 'script' | 'user' | 'document'): PropertyStore {
+  if (scope === 'user') return PropertiesService.getUserProperties()
+  if (scope === 'script') return PropertiesService.getScriptProperties()
+  const store = PropertiesService.getDocumentProperties()
+  if (!store) throw new Error('Document properties are only available to bound scripts')
+  return store
+}
+
+// JSON text is tried first, so arrays written as JSON are not split on commas
+function checkStoredValue(
+  schema: Schema<unknown>,
+  text: string,
+  path: string,
+  errors: SchemaError[],
+): unknown {
+  if (/^\s*[[{]/.test(text)) {
+    const json = toJson(text)
+    const jsonErrors: SchemaError[] = []
+    const value = json === undefined ? undefined : schema.check(json, path, jsonErrors)
+    if (json !== undefined && jsonErrors.length === 0) return value
+  }
+  return schema.check(text, path, errors)
+}
+
+function toPropertyValue(value: unknown): string {
+  if (typeof value === 'string') return value
+  if (isDate(value)) return value.toISOString()
+  if (value !== null && typeof value === 'object') return JSON.stringify(value)
+  return String(value)
+}
+
+function isMissing(text: string | null | undefined): text is null | undefined | '' {
+  return text == null || text === ''
+}
+
+function createConfigError(issues: ConfigIssue[]): TypeError {
+  const details = issues
+    .map((issue) => {
+      const value = issue.value === undefined ? '' : ` (${JSON.stringify(issue.value)})`
+      return `${issue.key}: ${issue.message}${value}`
+    })
+    .join('; ')
+  return new TypeError(`Invalid configuration: ${details}`)
+}
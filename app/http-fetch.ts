@@ -0,0 +1,215 @@
+import type { HeadersInit } from './http-headers.js'
+import { Headers } from './http-headers.js'
+
+/**
+ * Request bodies UrlFetchApp can send: text, bytes, a Blob or form fields
+ */
+export type RequestBody =
+  | string
+  | number[]
+  | GoogleAppsScript.Base.BlobSource
+  | Record<string, string | GoogleAppsScript.Base.BlobSource>
+
+/**
+ * The subset of an UrlFetchApp HTTPResponse that fetch reads
+ */
+export type FetchTransportResponse = {
+  getResponseCode(): number
+  getAllHeaders(): object
+  getContentText(charset?: string): string
+  getContent(): number[]
+  getBlob?(): GoogleAppsScript.Base.Blob
+}
+
+/**
+ * Sends a request; UrlFetchApp by default, or an in-memory fake in tests
+ */
+export type FetchTransport = {
+  fetch(
+    url: string,
+    params: GoogleAppsScript.URL_Fetch.URLFetchRequestOptions,
+  ): FetchTransportResponse
+}
+
+/**
+ * Standard fetch options plus the UrlFetchApp settings without a standard equivalent
+ */
+export type RequestInit = {
+  /** HTTP method, GET by default */
+  method?: string
+  /** Request headers; Content-Type is sent as the UrlFetchApp contentType */
+  headers?: HeadersInit
+  /** Request body, not allowed for GET and HEAD */
+  body?: RequestBody | null
+  /** Follow redirects, return the redirect response, or throw on redirects */
+  redirect?: 'follow' | 'manual' | 'error'
+  /** Throw an HttpError instead of returning responses that are not ok */
+  throwHttpErrors?: boolean
+  /** Reject invalid HTTPS certificates, true by default */
+  validateHttpsCertificates?: boolean
+  /** Transport used to send the request, UrlFetchApp by default */
+  transport?: FetchTransport
+}
+
+/**
+ * A request built from a URL and fetch options.
+ */
+export class Request {
+  readonly url: string
+  readonly method: string
+  readonly headers: Headers
+  readonly body: RequestBody | null
+  readonly redirect: 'follow' | 'manual' | 'error'
+
+  /**
+   * @param input - The URL or a request to copy
+   * @param init - Options that override those of the copied request
+   */
+  constructor(input: string | Request, init?: RequestInit) {
+    const options = init ?? {}
+    const source = input instanceof Request ? input : undefined
+    this.url = source ? source.url : String(input)
+    this.method = (options.method ?? source?.method ?? 'GET').toUpperCase()
+    this.headers = new Headers(options.headers ?? source?.headers)
+    this.body = options.body !== undefined ? options.body : (source?.body ?? null)
+    this.redirect = options.redirect ?? source?.redirect ?? 'follow'
+
+    if (this.body != null && (this.method === 'GET' || this.method === 'HEAD')) {
+      throw new TypeError(`Request with ${this.method} method cannot have a body`)
+    }
+  }
+}
+
+/**
+ * A response read from an UrlFetchApp HTTPResponse. Body readers return their
+ * result directly because UrlFetchApp is synchronous; await still works on them.
+ */
+export class Response {
+  readonly url: string
+  readonly status: number
+  readonly ok: boolean
+  readonly redirected: boolean
+  readonly headers: Headers
+  private readonly response: FetchTransportResponse
+
+  /**
+   * @param response - The transport response to read
+   * @param url - The URL that was requested
+   */
+  constructor(response: FetchTransportResponse, url?: string) {
+    this.response = response
+    this.url = url ?? ''
+    this.status = response.getResponseCode()
+    this.ok = this.status >= 200 && this.status <= 299
+    this.redirected = false
+    this.headers = Headers.fromResponse(response)
+  }
+
+  /**
+   * Returns the body decoded as text.
+   * @param charset - Charset to decode with, read from Content-Type by default
+   */
+  text(charset?: string): string {
+    return charset
+      ? this.response.getContentText(charset)
+      : this.response.getContentText()
+  }
+
+  /**
+   * Returns the body parsed as JSON.
+   */
+  json<T = unknown>(): T {
+    return JSON.parse(this.text()) as T
+  }
+
+  /**
+   * Returns the raw body bytes.
+   */
+  bytes(): number[] {
+    return this.response.getContent()
+  }
+
+  /**
+   * Returns the body as an Apps Script Blob.
+   */
+  blob(): GoogleAppsScript.Base.Blob {
+    if (!this.response.getBlob) throw new TypeError('Transport response has no Blob')
+    return this.response.getBlob()
+  }
+}
+
+/**
+ * Thrown by fetch for responses that are not ok when throwHttpErrors is set
+ */
+export class HttpError extends Error {
+  readonly status: number
+  readonly url: string
+  readonly response: Response
+
+  /**
+   * @param response - The response that was not ok
+   * @param method - The request method
+   */
+  constructor(response: Response, method: string) {
+    super(`HTTP ${response.status} for ${method} ${response.url}`)
+    this.name = 'HttpError'
+    this.status = response.status
+    this.url = response.url
+    this.response = response
+  }
+}
+
+/**
+ * Sends a request with UrlFetchApp using the web fetch API shape. HTTP error
+ * statuses are returned as responses unless throwHttpErrors is set.
+ * @param input - The URL or request to send
+ * @param init - Fetch options
+ * @returns The response
+ * @throws {HttpError} If throwHttpErrors is set and the response is not ok
+ */
+export function fetch(input: string | Request, init?: RequestInit): Response {
+  const request = new Request(input, init)
+  const transport = init?.transport ?? UrlFetchApp
+  const response = new Response(
+    transport.fetch(request.url, toUrlFetchParams(request, init)),
+    request.url,
+  )
+
+  if (
+    request.redirect === 'error' &&
+    response.status >= 300 &&
+    response.status <= 399
+  ) {
+    throw new TypeError(`Unexpected redirect from ${request.url}`)
+  }
+  if (init?.throwHttpErrors && !response.ok)
+    throw new HttpError(response, request.method)
+  return response
+}
+
+/**
+ * Returns the UrlFetchApp params for a request.
+ * @param request - The request to convert
+ * @param init - Fetch options with UrlFetchApp specific settings
+ */
+export function toUrlFetchParams(
+  request: Request,
+  init?: RequestInit,
+): GoogleAppsScript.URL_Fetch.URLFetchRequestOptions {
+  const headers = request.headers.toObject()
+  const contentType = headers['content-type']
+  delete headers['content-type']
+
+  const params: GoogleAppsScript.URL_Fetch.URLFetchRequestOptions = {
+    method: request.method.toLowerCase() as GoogleAppsScript.URL_Fetch.HttpMethod,
+    headers,
+    muteHttpExceptions: true,
+    followRedirects: request.redirect === 'follow',
+  }
+  if (contentType) params.contentType = contentType
+  if (request.body != null) params.payload = request.body
+  if (init?.validateHttpsCertificates !== undefined) {
+    params.validateHttpsCertificates = init.validateHttpsCertificates
+  }
+  return params
+}
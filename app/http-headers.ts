@@ -0,0 +1,180 @@
+/**
+ * Values accepted by the Headers constructor, including the plain objects used by
+ * UrlFetchApp.fetch params and returned by HTTPResponse.getAllHeaders()
+ */
+export type HeadersInit =
+  | Headers
+  | Iterable<readonly [string, string]>
+  | Record<string, string | readonly string[]>
+
+const HEADER_NAME_PATTERN = /^[!#$%&'*+\-.^_`|~0-9A-Za-z]+$/
+const HEADER_WHITESPACE_PATTERN = /^[\t\n\r ]+|[\t\n\r ]+$/g
+
+/**
+ * Web-standard Headers with case-insensitive names. Repeated values are joined with
+ * ", " except Set-Cookie, which is kept per cookie and read with getSetCookie().
+ */
+export class Headers {
+  private readonly map: Map<string, string[]>
+
+  /**
+   * @param init - Headers, name/value pairs or a plain header object
+   */
+  constructor(init?: HeadersInit) {
+    this.map = new Map()
+    if (init == null) return
+
+    if (init instanceof Headers) {
+      init.map.forEach((values, name) => {
+        this.map.set(name, [...values])
+      })
+    } else if (Symbol.iterator in init) {
+      for (const pair of init) {
+        if (pair.length !== 2)
+          throw new TypeError('Header pairs must contain a name and a value')
+        this.append(pair[0], pair[1])
+      }
+    } else {
+      for (const name of Object.keys(init)) {
+        const value = init[name]
+        const values = typeof value === 'string' ? [value] : value
+        for (const item of values) this.append(name, item)
+      }
+    }
+  }
+
+  /**
+   * Returns the headers of an UrlFetchApp response.
+   * @param response - The response whose getAllHeaders() are read
+   */
+  static fromResponse(
+    response: Pick<GoogleAppsScript.URL_Fetch.HTTPResponse, 'getAllHeaders'>,
+  ): Headers {
+    return new Headers(response.getAllHeaders() as Record<string, string | string[]>)
+  }
+
+  /**
+   * Adds a value to a header, keeping any existing values.
+   * @param name - The header name
+   * @param value - The value to add
+   */
+  append(name: string, value: string): void {
+    const key = normalizeHeaderName(name)
+    const values = this.map.get(key)
+    if (values) values.push(normalizeHeaderValue(value))
+    else this.map.set(key, [normalizeHeaderValue(value)])
+  }
+
+  /**
+   * Removes every value of a header.
+   * @param name - The header name
+   */
+  delete(name: string): void {
+    this.map.delete(normalizeHeaderName(name))
+  }
+
+  /**
+   * Returns the values of a header joined with ", ", or null if it is not set.
+   * @param name - The header name
+   */
+  get(name: string): string | null {
+    const values = this.map.get(normalizeHeaderName(name))
+    return values ? values.join(', ') : null
+  }
+
+  /**
+   * Returns each Set-Cookie value separately.
+   */
+  getSetCookie(): string[] {
+    return [...(this.map.get('set-cookie') || [])]
+  }
+
+  /**
+   * Returns true if the header is set.
+   * @param name - The header name
+   */
+  has(name: string): boolean {
+    return this.map.has(normalizeHeaderName(name))
+  }
+
+  /**
+   * Replaces every value of a header with a single value.
+   * @param name - The header name
+   * @param value - The new value
+   */
+  set(name: string, value: string): void {
+    this.map.set(normalizeHeaderName(name), [normalizeHeaderValue(value)])
+  }
+
+  /**
+   * Calls the callback for each header in sorted name order.
+   * @param callback - Called with the value, the lowercase name and these headers
+   * @param thisArg - Value to use as this when calling the callback
+   */
+  forEach(
+    callback: (value: string, name: string, headers: Headers) => void,
+    thisArg?: unknown,
+  ): void {
+    for (const [name, value] of this.entries()) {
+      callback.call(thisArg, value, name, this)
+    }
+  }
+
+  /**
+   * Returns [name, value] pairs sorted by lowercase name, one per Set-Cookie value.
+   */
+  *entries(): IterableIterator<[string, string]> {
+    const names = [...this.map.keys()].sort()
+    for (const name of names) {
+      if (name === 'set-cookie') {
+        for (const cookie of this.getSetCookie()) yield [name, cookie]
+      } else {
+        yield [name, this.get(name) as string]
+      }
+    }
+  }
+
+  /**
+   * Returns the lowercase header names in sorted order.
+   */
+  *keys(): IterableIterator<string> {
+    for (const [name] of this.entries()) yield name
+  }
+
+  /**
+   * Returns the header values in sorted name order.
+   */
+  *values(): IterableIterator<string> {
+    for (const [, value] of this.entries()) yield value
+  }
+
+  [Symbol.iterator](): IterableIterator<[string, string]> {
+    return this.entries()
+  }
+
+  /**
+   * Returns a plain header object for UrlFetchApp.fetch params. Set-Cookie is left
+   * out, since cookie dates contain commas and joined cookies cannot be split
+   * again; getSetCookie() is the only way to read them.
+   */
+  toObject(): Record<string, string> {
+    const headers: Record<string, string> = {}
+    this.map.forEach((values, name) => {
+      if (name !== 'set-cookie') headers[name] = values.join(', ')
+    })
+    return headers
+  }
+}
+
+function normalizeHeaderName(name: string) {
+  const text = String(name)
+  if (!HEADER_NAME_PATTERN.test(text))
+    throw new TypeError(`Invalid header name: ${text}`)
+  return text.toLowerCase()
+}
+
+function normalizeHeaderValue(value: string) {
+  const text = String(value).replace(HEADER_WHITESPACE_PATTERN, '')
+  if (/[\0\r\n]/.test(text)) throw new TypeError(`Invalid header value: ${text}`)
+  return text
+}
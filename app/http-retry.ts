@@ -0,0 +1,138 @@
+import type { RequestInit } from './http-fetch.js'
+import { fetch, HttpError, Request, type Response } from './http-fetch.js'
+import { toDate } from './type-cast.js'
+
+/**
+ * Details passed to onRetry before each retry
+ */
+export type RetryAttempt = {
+  /** Number of the attempt that failed, starting at 1 */
+  attempt: number
+  /** Milliseconds that will be slept before the next attempt */
+  delay: number
+  /** Response that will be retried, if the attempt got one */
+  response?: Response
+  /** Error that will be retried, if the attempt threw */
+  error?: unknown
+}
+
+/**
+ * Exponential backoff settings for fetchWithRetry
+ */
+export type RetryOptions = {
+  /** Retries after the first attempt, 3 by default */
+  retries?: number
+  /** Delay before the first retry in milliseconds, 500 by default */
+  baseDelay?: number
+  /** Largest backoff delay in milliseconds, 30000 by default */
+  maxDelay?: number
+  /** Randomize each delay between 0 and the backoff delay, true by default */
+  jitter?: boolean
+  /** Hard cap on total elapsed milliseconds, 240000 by default */
+  maxElapsed?: number
+  /** Response statuses to retry, 408, 429, 500, 502, 503 and 504 by default */
+  retryStatuses?: readonly number[]
+  /** Methods to retry, the idempotent GET, HEAD, OPTIONS, PUT and DELETE by default */
+  retryMethods?: readonly string[]
+  /** Wait as long as a Retry-After header asks, true by default */
+  respectRetryAfter?: boolean
+  /** Sleeps for the given milliseconds, Utilities.sleep by default */
+  sleep?: (milliseconds: number) => void
+  /** Returns the current time in milliseconds, Date.now by default */
+  now?: () => number
+  /** Returns a number in [0, 1) for jitter, Math.random by default */
+  random?: () => number
+  /** Called before sleeping for each retry */
+  onRetry?: (attempt: RetryAttempt) => void
+}
+
+const DEFAULT_RETRY_STATUSES = [408, 429, 500, 502, 503, 504]
+const DEFAULT_RETRY_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE']
+
+/**
+ * Sends a request with fetch, retrying transient failures with exponential backoff.
+ * Gives up early rather than exceed maxElapsed, so a script stays inside the
+ * 6-minute execution limit.
+ * @param input - The URL or request to send
+ * @param init - Fetch options
+ * @param options - Retry settings
+ * @returns The last response
+ * @throws {HttpError} If throwHttpErrors is set and the last response is not ok
+ */
+export function fetchWithRetry(
+  input: string | Request,
+  init?: RequestInit,
+  options?: RetryOptions,
+): Response {
+  const settings = options ?? {}
+  const retries = settings.retries ?? 3
+  const now = settings.now ?? Date.now
+  const sleep =
+    settings.sleep ?? ((milliseconds: number) => Utilities.sleep(milliseconds))
+  const retryStatuses = settings.retryStatuses ?? DEFAULT_RETRY_STATUSES
+  const retryMethods = (settings.retryMethods ?? DEFAULT_RETRY_METHODS).map((method) =>
+    method.toUpperCase(),
+  )
+
+  const request = new Request(input, init)
+  const canRetry = retryMethods.includes(request.method)
+  const started = now()
+
+  for (let attempt = 1; ; attempt++) {
+    let response: Response | undefined
+    let error: unknown
+    try {
+      response = fetch(request, { ...init, throwHttpErrors: false })
+    } catch (caught) {
+      // TypeErrors come from invalid requests and will fail the same way again
+      if (caught instanceof TypeError) throw caught
+      error = caught
+    }
+
+    const retryable = response ? retryStatuses.includes(response.status) : true
+    if (canRetry && retryable && attempt <= retries) {
+      const retryAfter =
+        response && settings.respectRetryAfter !== false
+          ? parseRetryAfter(response.headers.get('retry-after'), now())
+          : undefined
+      const delay = retryAfter ?? getBackoffDelay(attempt, settings)
+
+      if (now() - started + delay <= (settings.maxElapsed ?? 240000)) {
+        settings.onRetry?.({ attempt, delay, response, error })
+        sleep(delay)
+        continue
+      }
+    }
+
+    if (!response) throw error
+    if (init?.throwHttpErrors && !response.ok)
+      throw new HttpError(response, request.method)
+    return response
+  }
+}
+
+/**
+ * Returns the delay a Retry-After header asks for in milliseconds, reading both
+ * delay-seconds and HTTP-date values.
+ * @param value - The Retry-After header value
+ * @param now - The current time in milliseconds, Date.now() by default
+ */
+export function parseRetryAfter(
+  value: string | null | undefined,
+  now?: number,
+): number | undefined {
+  if (value == null || value.trim() === '') return undefined
+  const text = value.trim()
+  if (/^\d+$/.test(text)) return Number(text) * 1000
+
+  const date = toDate(text)
+  if (!date) return undefined
+  return Math.max(0, date.getTime() - (now ?? Date.now()))
+}
+
+function getBackoffDelay(attempt: number, settings: RetryOptions) {
+  const baseDelay = settings.baseDelay ?? 500
+  const delay = Math.min(baseDelay * 2 ** (attempt - 1), settings.maxDelay ?? 30000)
+  if (settings.jitter === false) return delay
+  return Math.round((settings.random ?? Math.random)() * delay)
+}
@@ -0,0 +1,343 @@
+/**
+ * A parsed Content-Type header value
+ */
+export type ContentType = {
+  /** Lowercase top-level type such as "text" */
+  type: string
+  /** Lowercase subtype such as "plain" */
+  subtype: string
+  /** Lowercase "type/subtype" without parameters */
+  essence: string
+  /** Parameters such as charset and boundary, keyed by lowercase name */
+  parameters: Record<string, string>
+}
+
+/**
+ * Names of Apps Script's MimeType enum members
+ */
+export type MimeTypeEnumName = keyof GoogleAppsScript.Base.MimeType
+
+/**
+ * Common MIME types by name
+ */
+export const MIME_TYPES = {
+  CSS: 'text/css',
+  CSV: 'text/csv',
+  FORM: 'application/x-www-form-urlencoded',
+  GIF: 'image/gif',
+  HTML: 'text/html',
+  ICS: 'text/calendar',
+  JAVASCRIPT: 'text/javascript',
+  JPEG: 'image/jpeg',
+  JSON: 'application/json',
+  MARKDOWN: 'text/markdown',
+  MULTIPART_FORM: 'multipart/form-data',
+  OCTET_STREAM: 'application/octet-stream',
+  PDF: 'application/pdf',
+  PLAIN_TEXT: 'text/plain',
+  PNG: 'image/png',
+  SVG: 'image/svg+xml',
+  TSV: 'text/tab-separated-values',
+  XML: 'application/xml',
+  ZIP: 'application/zip',
+} as const
+
+/**
+ * Values of Apps Script's MimeType enum, including Google Workspace types, so
+ * they can be used outside Apps Script
+ */
+export const MIME_TYPE_ENUM: Readonly<Record<MimeTypeEnumName, string>> = {
+  GOOGLE_APPS_SCRIPT: 'application/vnd.google-apps.script',
+  GOOGLE_DRAWINGS: 'application/vnd.google-apps.drawing',
+  GOOGLE_DOCS: 'application/vnd.google-apps.document',
+  GOOGLE_FORMS: 'application/vnd.google-apps.form',
+  GOOGLE_SHEETS: 'application/vnd.google-apps.spreadsheet',
+  GOOGLE_SITES: 'application/vnd.google-apps.site',
+  GOOGLE_SLIDES: 'application/vnd.google-apps.presentation',
+  FOLDER: 'application/vnd.google-apps.folder',
+  SHORTCUT: 'application/vnd.google-apps.shortcut',
+  BMP: 'image/bmp',
+  GIF: 'image/gif',
+  JPEG: 'image/jpeg',
+  PNG: 'image/png',
+  SVG: 'image/svg+xml',
+  PDF: 'application/pdf',
+  CSS: 'text/css',
+  CSV: 'text/csv',
+  HTML: 'text/html',
+  JAVASCRIPT: 'application/javascript',
+  PLAIN_TEXT: 'text/plain',
+  RTF: 'application/rtf',
+  OPENDOCUMENT_GRAPHICS: 'application/vnd.oasis.opendocument.graphics',
+  OPENDOCUMENT_PRESENTATION: 'application/vnd.oasis.opendocument.presentation',
+  OPENDOCUMENT_SPREADSHEET: 'application/vnd.oasis.opendocument.spreadsheet',
+  OPENDOCUMENT_TEXT: 'application/vnd.oasis.opendocument.text',
+  MICROSOFT_EXCEL: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  MICROSOFT_EXCEL_LEGACY: 'application/vnd.ms-excel',
+  MICROSOFT_POWERPOINT:
+    'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+  MICROSOFT_POWERPOINT_LEGACY: 'application/vnd.ms-powerpoint',
+  MICROSOFT_WORD:
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  MICROSOFT_WORD_LEGACY: 'application/msword',
+  ZIP: 'application/zip',
+}
+
+// The first extension listed for a type is the one getExtension returns
+const EXTENSION_MIME_TYPES: Record<string, string> = {
+  bin: MIME_TYPES.OCTET_STREAM,
+  bmp: MIME_TYPE_ENUM.BMP,
+  css: MIME_TYPES.CSS,
+  csv: MIME_TYPES.CSV,
+  doc: MIME_TYPE_ENUM.MICROSOFT_WORD_LEGACY,
+  docx: MIME_TYPE_ENUM.MICROSOFT_WORD,
+  eml: 'message/rfc822',
+  epub: 'application/epub+zip',
+  gif: MIME_TYPES.GIF,
+  gz: 'application/gzip',
+  html: MIME_TYPES.HTML,
+  htm: MIME_TYPES.HTML,
+  ico: 'image/vnd.microsoft.icon',
+  ics: MIME_TYPES.ICS,
+  jpg: MIME_TYPES.JPEG,
+  jpeg: MIME_TYPES.JPEG,
+  js: MIME_TYPES.JAVASCRIPT,
+  mjs: MIME_TYPES.JAVASCRIPT,
+  json: MIME_TYPES.JSON,
+  md: MIME_TYPES.MARKDOWN,
+  mp3: 'audio/mpeg',
+  mp4: 'video/mp4',
+  odg: MIME_TYPE_ENUM.OPENDOCUMENT_GRAPHICS,
+  odp: MIME_TYPE_ENUM.OPENDOCUMENT_PRESENTATION,
+  ods: MIME_TYPE_ENUM.OPENDOCUMENT_SPREADSHEET,
+  odt: MIME_TYPE_ENUM.OPENDOCUMENT_TEXT,
+  pdf: MIME_TYPES.PDF,
+  png: MIME_TYPES.PNG,
+  ppt: MIME_TYPE_ENUM.MICROSOFT_POWERPOINT_LEGACY,
+  pptx: MIME_TYPE_ENUM.MICROSOFT_POWERPOINT,
+  rtf: MIME_TYPE_ENUM.RTF,
+  svg: MIME_TYPES.SVG,
+  tif: 'image/tiff',
+  tiff: 'image/tiff',
+  tsv: MIME_TYPES.TSV,
+  txt: MIME_TYPES.PLAIN_TEXT,
+  wav: 'audio/wav',
+  webm: 'video/webm',
+  webp: 'image/webp',
+  xls: MIME_TYPE_ENUM.MICROSOFT_EXCEL_LEGACY,
+  xlsx: MIME_TYPE_ENUM.MICROSOFT_EXCEL,
+  xml: MIME_TYPES.XML,
+  yaml: 'application/yaml',
+  zip: MIME_TYPES.ZIP,
+}
+
+// Formats Drive can export each Google Workspace type to
+const EXPORT_MIME_TYPES: Record<string, readonly string[]> = {
+  [MIME_TYPE_ENUM.GOOGLE_DOCS]: [
+    MIME_TYPES.PDF,
+    MIME_TYPE_ENUM.MICROSOFT_WORD,
+    MIME_TYPE_ENUM.OPENDOCUMENT_TEXT,
+    MIME_TYPE_ENUM.RTF,
+    MIME_TYPES.PLAIN_TEXT,
+    MIME_TYPES.MARKDOWN,
+    'application/epub+zip',
+    MIME_TYPES.ZIP,
+  ],
+  [MIME_TYPE_ENUM.GOOGLE_SHEETS]: [
+    MIME_TYPE_ENUM.MICROSOFT_EXCEL,
+    MIME_TYPE_ENUM.OPENDOCUMENT_SPREADSHEET,
+    MIME_TYPES.PDF,
+    MIME_TYPES.CSV,
+    MIME_TYPES.TSV,
+    MIME_TYPES.ZIP,
+  ],
+  [MIME_TYPE_ENUM.GOOGLE_SLIDES]: [
+    MIME_TYPE_ENUM.MICROSOFT_POWERPOINT,
+    MIME_TYPE_ENUM.OPENDOCUMENT_PRESENTATION,
+    MIME_TYPES.PDF,
+    MIME_TYPES.PLAIN_TEXT,
+    MIME_TYPES.JPEG,
+    MIME_TYPES.PNG,
+    MIME_TYPES.SVG,
+  ],
+  [MIME_TYPE_ENUM.GOOGLE_DRAWINGS]: [
+    MIME_TYPES.PDF,
+    MIME_TYPES.JPEG,
+    MIME_TYPES.PNG,
+    MIME_TYPES.SVG,
+  ],
+  [MIME_TYPE_ENUM.GOOGLE_APPS_SCRIPT]: ['application/vnd.google-apps.script+json'],
+}
+
+const TOKEN_PATTERN = /^[!#$%&'*+\-.^_`|~0-9A-Za-z]+$/
+const PARAMETER_PATTERN = /;\s*([^\s=;]+)\s*=\s*("(?:[^"\\]|\\.)*"|[^;]*)/g
+
+/**
+ * Returns the MIME type for a file name or extension, such as "report.csv" or
+ * ".csv".
+ * @param fileName - The file name or extension to look up
+ */
+export function getMimeType(fileName: string): string | undefined {
+  const extension = fileName.slice(fileName.lastIndexOf('.') + 1).toLowerCase()
+  return EXTENSION_MIME_TYPES[extension]
+}
+
+/**
+ * Returns the preferred file extension, without a dot, for a MIME type.
+ * Parameters such as charset are ignored.
+ * @param mimeType - The MIME type or Content-Type value to look up
+ */
+export function getExtension(mimeType: string): string | undefined {
+  const essence = parseContentType(mimeType)?.essence
+  return Object.keys(EXTENSION_MIME_TYPES).find(
+    (extension) => EXTENSION_MIME_TYPES[extension] === essence,
+  )
+}
+
+/**
+ * Returns the parts of a Content-Type value, or undefined if it is malformed.
+ * @param value - The Content-Type value, such as "text/html; charset=UTF-8"
+ */
+export function parseContentType(value: string): ContentType | undefined {
+  const text = String(value).trim()
+  const separator = text.indexOf(';')
+  const essence = (separator === -1 ? text : text.slice(0, separator))
+    .trim()
+    .toLowerCase()
+  const [type, subtype, ...rest] = essence.split('/')
+  if (
+    rest.length > 0 ||
+    !TOKEN_PATTERN.test(type) ||
+    !TOKEN_PATTERN.test(subtype ?? '')
+  ) {
+    return undefined
+  }
+
+  const parameters: Record<string, string> = {}
+  if (separator !== -1) {
+    for (const match of text.slice(separator).matchAll(PARAMETER_PATTERN)) {
+      const name = match[1].toLowerCase()
+      const raw = match[2].trim()
+      const parameter = raw.startsWith('"')
+        ? raw.slice(1, -1).replace(/\\(.)/g, '$1')
+        : raw
+      if (TOKEN_PATTERN.test(name) && !(name in parameters))
+        parameters[name] = parameter
+    }
+  }
+  return { type, subtype, essence, parameters }
+}
+
+/**
+ * Returns a Content-Type value, quoting parameter values where needed.
+ * @param contentType - The essence and parameters to serialize
+ */
+export function formatContentType(
+  contentType: Pick<ContentType, 'essence'> & Partial<Pick<ContentType, 'parameters'>>,
+): string {
+  const parameters = contentType.parameters ?? {}
+  return [contentType.essence]
+    .concat(
+      Object.keys(parameters).map((name) => {
+        const value = parameters[name]
+        const quoted = TOKEN_PATTERN.test(value)
+          ? value
+          : `"${value.replace(/["\\]/g, '\\$&')}"`
+        return `${name.toLowerCase()}=${quoted}`
+      }),
+    )
+    .join('; ')
+}
+
+/**
+ * Returns the available MIME type the Accept header prefers most. Ties go to the
+ * type listed first in available.
+ * @param accept - The Accept header value; a missing header accepts anything
+ * @param available - The MIME types that can be produced, in order of preference
+ */
+export function negotiateMimeType(
+  accept: string | null | undefined,
+  available: readonly string[],
+): string | undefined {
+  if (accept == null || accept.trim() === '') return available[0]
+
+  const ranges = accept
+    .split(',')
+    .map((range) => parseContentType(range.replace(/^\s*\*(?=\s*(;|$))/, '*/*')))
+    .filter((range): range is ContentType => range !== undefined)
+
+  let best: string | undefined
+  let bestQuality = 0
+  for (const mimeType of available) {
+    const essence = parseContentType(mimeType)?.essence
+    if (!essence) continue
+    const quality = getAcceptQuality(essence, ranges)
+    if (quality > bestQuality) {
+      best = mimeType
+      bestQuality = quality
+    }
+  }
+  return best
+}
+
+/**
+ * Returns the name of the Apps Script MimeType enum member for a MIME type.
+ * @param mimeType - The MIME type to look up
+ */
+export function getMimeTypeEnumName(mimeType: string): MimeTypeEnumName | undefined {
+  const essence = parseContentType(mimeType)?.essence
+  return (Object.keys(MIME_TYPE_ENUM) as MimeTypeEnumName[]).find(
+    (name) => MIME_TYPE_ENUM[name] === essence,
+  )
+}
+
+/**
+ * Returns true if the MIME type is a native Google Workspace type such as a
+ * Google Sheets spreadsheet.
+ * @param mimeType - The MIME type to check
+ */
+export function isGoogleMimeType(mimeType: string): boolean {
+  return /^application\/vnd\.google-apps\./i.test(mimeType.trim())
+}
+
+/**
+ * Returns the MIME types Drive can export a Google Workspace type to, or an empty
+ * array if it cannot be exported.
+ * @param googleMimeType - The Google Workspace MIME type of the file
+ */
+export function getExportMimeTypes(googleMimeType: string): string[] {
+  const essence = parseContentType(googleMimeType)?.essence ?? ''
+  return [...(EXPORT_MIME_TYPES[essence] ?? [])]
+}
+
+/**
+ * Returns true if Drive can export the Google Workspace type to the MIME type.
+ * @param googleMimeType - The Google Workspace MIME type of the file
+ * @param mimeType - The MIME type to export to
+ */
+export function canExportAs(googleMimeType: string, mimeType: string): boolean {
+  const essence = parseContentType(mimeType)?.essence
+  return essence !== undefined && getExportMimeTypes(googleMimeType).includes(essence)
+}
+
+function getAcceptQuality(essence: string, ranges: ContentType[]) {
+  const [type] = essence.split('/')
+  let specificity = -1
+  let quality = 0
+  for (const range of ranges) {
+    const rangeSpecificity =
+      range.essence === essence
+        ? 2
+        : range.type === type && range.subtype === '*'
+          ? 1
+          : range.essence === '*/*'
+            ? 0
+            : -1
+    if (rangeSpecificity > specificity) {
+      specificity = rangeSpecificity
+      const q = Number(range.parameters.q ?? 1)
+      quality = Number.isFinite(q) ? Math.min(Math.max(q, 0), 1) : 0
+    }
+  }
+  return quality
+}
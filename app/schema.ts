@@ -0,0 +1,289 @@
+import type {
+  BooleanValue,
+  DateOptions,
+  DateValue,
+  NumberValue,
+  TextValue,
+} from './type-cast.js'
+import { toArray, toBoolean, toDate, toJson, toNumber, toText } from './type-cast.js'
+import { isInteger, isPlainObject } from './type-check.js'
+
+/**
+ * A validation error with the path of the rejected value
+ */
+export type SchemaError = {
+  /** Path to the value such as "rows[3].startDate", empty for the root value */
+  path: string
+  /** Why the value was rejected */
+  message: string
+}
+
+/**
+ * Result of validating a value: the coerced value or every error that was found
+ */
+export type SchemaResult<T> =
+  | { ok: true; value: T }
+  | { ok: false; errors: SchemaError[] }
+
+/**
+ * Validates and coerces unknown input into a typed value
+ */
+export type Schema<T> = {
+  /** Name of the expected type, used in error messages */
+  readonly type: string
+  /** Coerces the value found at path, pushing errors instead of throwing */
+  readonly check: (value: unknown, path: string, errors: SchemaError[]) => T
+}
+
+/**
+ * The type produced by a schema
+ */
+export type InferSchema<S> = S extends Schema<infer T> ? T : never
+
+/**
+ * The object type produced by an object schema shape, with optional keys for
+ * schemas that accept undefined
+ */
+export type InferShape<S extends Record<string, Schema<unknown>>> = {
+  [K in keyof S as undefined extends InferSchema<S[K]> ? never : K]: InferSchema<S[K]>
+} & {
+  [K in keyof S as undefined extends InferSchema<S[K]> ? K : never]?: InferSchema<S[K]>
+}
+
+/**
+ * Returns a schema that accepts strings, converting numbers, booleans and Dates
+ * with toText.
+ * @returns A schema producing strings
+ */
+export function stringSchema(): Schema<string> {
+  return createSchema('string', (value) => toText(value as TextValue))
+}
+
+/**
+ * Returns a schema that accepts finite numbers, converting strings and booleans
+ * with toNumber.
+ * @returns A schema producing finite numbers
+ */
+export function numberSchema(): Schema<number> {
+  return createSchema('number', (value) => toNumber(value as NumberValue))
+}
+
+/**
+ * Returns a schema that accepts whole numbers, converting strings with toNumber.
+ * Fractional values are rejected rather than truncated.
+ * @returns A schema producing integers
+ */
+export function integerSchema(): Schema<number> {
+  return createSchema('integer', (value) => {
+    const number = toNumber(value as NumberValue)
+    return isInteger(number) ? number : undefined
+  })
+}
+
+/**
+ * Returns a schema that accepts booleans, converting checkbox and form values
+ * with toBoolean.
+ * @returns A schema producing booleans
+ */
+export function booleanSchema(): Schema<boolean> {
+  return createSchema('boolean', (value) => toBoolean(value as BooleanValue))
+}
+
+/**
+ * Returns a schema that accepts valid Dates, converting strings and numbers with
+ * toDate.
+ * @param options - Serial, input format and time zone rules passed to toDate
+ * @returns A schema producing valid Dates
+ */
+export function dateSchema(options?: DateOptions): Schema<Date> {
+  return createSchema('date', (value) => toDate(value as DateValue, undefined, options))
+}
+
+/**
+ * Returns a schema that accepts exactly the given value.
+ * @param literal - The only accepted value
+ * @returns A schema producing the literal value
+ */
+export function literalSchema<T extends string | number | boolean | null>(
+  literal: T,
+): Schema<T> {
+  const type = JSON.stringify(literal)
+  return {
+    type,
+    check: (value, path, errors) => {
+      if (value !== literal) errors.push({ path, message: `Expected ${type}` })
+      return literal
+    },
+  }
+}
+
+/**
+ * Returns a schema that accepts arrays whose items all pass the item schema.
+ * Strings are split on commas with toArray first.
+ * @param item - The schema every item must pass
+ * @returns A schema producing arrays of the item type
+ */
+export function arraySchema<T>(item: Schema<T>): Schema<T[]> {
+  return {
+    type: `${item.type}[]`,
+    check: (value, path, errors) => {
+      if (value == null) return required(path, errors)
+      const items = typeof value === 'string' ? toArray(value) : value
+      if (!Array.isArray(items)) {
+        errors.push({ path, message: `Expected ${item.type}[]` })
+        return []
+      }
+      return items.map((entry, index) => item.check(entry, `${path}[${index}]`, errors))
+    },
+  }
+}
+
+/**
+ * Returns a schema that accepts objects matching the shape. JSON strings are
+ * parsed with toJson first, and keys that are not in the shape are dropped.
+ * @param shape - The schema for each key
+ * @returns A schema producing objects of the shape type
+ */
+export function objectSchema<S extends Record<string, Schema<unknown>>>(
+  shape: S,
+): Schema<InferShape<S>> {
+  return {
+    type: 'object',
+    check: (value, path, errors) => {
+      if (value == null) return required(path, errors)
+      const input = typeof value === 'string' ? toJson(value) : value
+      const result: Record<string, unknown> = {}
+      if (!isPlainObject(input)) {
+        errors.push({ path, message: 'Expected object' })
+        return result as InferShape<S>
+      }
+      for (const key of Object.keys(shape)) {
+        const entry = shape[key].check(input[key], joinPath(path, key), errors)
+        if (entry !== undefined) result[key] = entry
+      }
+      return result as InferShape<S>
+    },
+  }
+}
+
+/**
+ * Returns a schema that accepts the first matching member schema. Order matters
+ * because members coerce: list stricter schemas first.
+ * @param schemas - The member schemas, tried in order
+ * @returns A schema producing any member type
+ */
+export function unionSchema<S extends readonly Schema<unknown>[]>(
+  schemas: S,
+): Schema<InferSchema<S[number]>> {
+  const type = schemas.map((schema) => schema.type).join(' | ')
+  return {
+    type,
+    check: (value, path, errors) => {
+      for (const schema of schemas) {
+        const memberErrors: SchemaError[] = []
+        const result = schema.check(value, path, memberErrors)
+        if (memberErrors.length === 0) return result as InferSchema<S[number]>
+      }
+      errors.push({ path, message: `Expected ${type}` })
+      return undefined as InferSchema<S[number]>
+    },
+  }
+}
+
+/**
+ * Returns a schema that also accepts null, undefined and blank strings, which
+ * become the default value.
+ * @param schema - The schema for present values
+ * @param defaultValue - Value to use when the input is missing
+ * @returns A schema producing the value or the default value
+ */
+export function optionalSchema<T, D extends T | undefined = undefined>(
+  schema: Schema<T>,
+  defaultValue?: D,
+): Schema<T | D> {
+  return {
+    type: `${schema.type} | undefined`,
+    check: (value, path, errors) => {
+      if (value == null || value === '') return defaultValue as D
+      return schema.check(value, path, errors)
+    },
+  }
+}
+
+/**
+ * Returns a schema that runs a custom check after the schema accepts a value.
+ * @param schema - The schema to refine
+ * @param predicate - Returns true if the coerced value is acceptable
+ * @param message - Error message used when the predicate fails
+ * @returns A schema producing the refined value
+ */
+export function refineSchema<T>(
+  schema: Schema<T>,
+  predicate: (value: T) => boolean,
+  message?: string,
+): Schema<T> {
+  return {
+    type: schema.type,
+    check: (value, path, errors) => {
+      const errorCount = errors.length
+      const result = schema.check(value, path, errors)
+      if (errors.length === errorCount && !predicate(result)) {
+        errors.push({ path, message: message ?? 'Invalid value' })
+      }
+      return result
+    },
+  }
+}
+
+/**
+ * Validates and coerces a value in one pass, collecting every error.
+ * @param schema - The schema to validate against
+ * @param value - The value to validate
+ * @returns The coerced value, or every error with its path
+ */
+export function validateSchema<T>(schema: Schema<T>, value: unknown): SchemaResult<T> {
+  const errors: SchemaError[] = []
+  const result = schema.check(value, '', errors)
+  return errors.length > 0 ? { ok: false, errors } : { ok: true, value: result }
+}
+
+/**
+ * Validates and coerces a value, throwing if any error is found.
+ * @param schema - The schema to validate against
+ * @param value - The value to validate
+ * @returns The coerced value
+ * @throws {TypeError} If the value does not match the schema
+ */
+export function validateSchemaStrict<T>(schema: Schema<T>, value: unknown): T {
+  const result = validateSchema(schema, value)
+  if (result.ok) return result.value
+  const details = result.errors
+    .map((error) => (error.path ? `${error.path}: ${error.message}` : error.message))
+    .join('; ')
+  throw new TypeError(`Value does not match schema: ${details}`)
+}
+
+function createSchema<T>(
+  type: string,
+  coerce: (value: unknown) => T | undefined,
+): Schema<T> {
+  return {
+    type,
+    check: (value, path, errors) => {
+      if (value == null) return required(path, errors)
+      const result = coerce(value)
+      if (result === undefined) errors.push({ path, message: `Expected ${type}` })
+      return result as T
+    },
+  }
+}
+
+function required<T>(path: string, errors: SchemaError[]): T {
+  errors.push({ path, message: 'Required' })
+  return undefined as T
+}
+
+function joinPath(path: string, key: string) {
+  if (!/^[A-Za-z_$][\w$]*$/.test(key)) return `${path}[${JSON.stringify(key)}]`
+  return path ? `${path}.${key}` : key
+}
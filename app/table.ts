@@ -0,0 +1,215 @@
+import type { InferShape, Schema, SchemaError } from './schema.js'
+import { isDate, isPlainObject } from './type-check.js'
+
+/**
+ * A record field read from one column of a table
+ */
+export type TableColumn<T = unknown> = {
+  /** Header text of the column, matched ignoring case and spacing; defaults to the key */
+  header?: string
+  /** Other header texts accepted for the column */
+  aliases?: readonly string[]
+  /** Coerces each cell; blank cells are checked as undefined */
+  schema: Schema<T>
+  /** Repeat the value above for blank cells, as cells merged across rows read */
+  fillDown?: boolean
+}
+
+/**
+ * The columns of a table, keyed by record field
+ */
+export type TableColumns = Record<string, TableColumn>
+
+/**
+ * The record type produced by table columns
+ */
+export type InferTable<C extends TableColumns> = InferShape<{
+  [K in keyof C]: C[K]['schema']
+}>
+
+/**
+ * A conversion error with the sheet coordinates of the rejected cell
+ */
+export type TableError = {
+  /** Sheet row number of the cell, or of the header row for a missing column */
+  row: number
+  /** Sheet column number of the cell, undefined for a missing column */
+  column: number | undefined
+  /** Record field of the column */
+  key: string
+  /** Why the cell was rejected */
+  message: string
+}
+
+/**
+ * Where the values sit in the sheet and how blank rows are read
+ */
+export type TableOptions = {
+  /** Index of the header row in the values, 0 by default */
+  headerRow?: number
+  /** Sheet row number of the first row of values, 1 by default */
+  firstRow?: number
+  /** Sheet column number of the first column of values, 1 by default */
+  firstColumn?: number
+  /** Skip rows whose mapped cells are all blank, true by default */
+  skipBlankRows?: boolean
+}
+
+/**
+ * Result of reading a table: the records, their sheet rows and every cell error
+ */
+export type TableResult<T> = {
+  /** One record per data row, including rows with errors */
+  records: T[]
+  /** Sheet row number of each record */
+  rows: number[]
+  /** Header row as read, in the sheet's column order */
+  headers: string[]
+  /** Every conversion error, in row order */
+  errors: TableError[]
+}
+
+/**
+ * Reads a values grid such as Range.getValues() into typed records. The header
+ * row maps columns to fields, so column order does not matter and unknown or
+ * blank headers (as merged header cells read) are ignored. Trailing blank rows are
+ * dropped, and errors are collected instead of thrown.
+ * @param values - The values grid, header row included
+ * @param columns - The field of each column
+ * @param options - Position of the values and blank row handling
+ * @returns The records with the sheet row and every error of each cell
+ */
+export function readTable<C extends TableColumns>(
+  values: readonly (readonly unknown[])[],
+  columns: C,
+  options: TableOptions = {},
+): TableResult<InferTable<C>> {
+  const { headerRow = 0, firstRow = 1, firstColumn = 1, skipBlankRows = true } = options
+  const headers = (values[headerRow] ?? []).map((header) => String(header ?? ''))
+  const result: TableResult<InferTable<C>> = {
+    records: [],
+    rows: [],
+    headers,
+    errors: [],
+  }
+  const indexes = findColumnIndexes(headers, columns)
+
+  for (const key of Object.keys(columns)) {
+    if (indexes[key] !== undefined) continue
+    const errors: SchemaError[] = []
+    columns[key].schema.check(undefined, key, errors)
+    if (errors.length === 0) continue
+    result.errors.push({
+      row: firstRow + headerRow,
+      column: undefined,
+      key,
+      message: `Missing column "${columns[key].header ?? key}"`,
+    })
+  }
+
+  let lastRow = values.length - 1
+  while (lastRow > headerRow && values[lastRow].every(isBlank)) lastRow--
+
+  const previous: Record<string, unknown> = {}
+  for (let index = headerRow + 1; index <= lastRow; index++) {
+    const row = values[index]
+    const cells: Record<string, unknown> = {}
+    for (const key of Object.keys(columns)) {
+      const columnIndex = indexes[key]
+      let cell = columnIndex === undefined ? undefined : row[columnIndex]
+      if (isBlank(cell)) cell = columns[key].fillDown ? previous[key] : undefined
+      else previous[key] = cell
+      cells[key] = cell
+    }
+    const mapped = Object.keys(indexes).map((key) => row[indexes[key] as number])
+    if (skipBlankRows && mapped.every(isBlank)) continue
+
+    const record: Record<string, unknown> = {}
+    for (const key of Object.keys(columns)) {
+      const errors: SchemaError[] = []
+      const value = columns[key].schema.check(cells[key], key, errors)
+      if (value !== undefined) record[key] = value
+      const columnIndex = indexes[key]
+      for (const error of errors) {
+        // Missing columns were reported once, against the header row
+        if (columnIndex === undefined) continue
+        result.errors.push({
+          row: firstRow + index,
+          column: firstColumn + columnIndex,
+          key,
+          message:
+            error.path === key ? error.message : `${error.path}: ${error.message}`,
+        })
+      }
+    }
+    result.records.push(record as InferTable<C>)
+    result.rows.push(firstRow + index)
+  }
+  return result
+}
+
+/**
+ * Writes records into a rectangular values grid for Range.setValues(). Columns
+ * follow the headers, which default to the column headers in definition order;
+ * headers without a field are left blank. Dates are kept, missing values become
+ * blank, arrays are joined with commas and objects become JSON.
+ * @param records - The records to write
+ * @param columns - The field of each column
+ * @param headers - The sheet's header row, such as TableResult.headers
+ * @returns One row of values per record, without the header row
+ */
+export function writeTable<C extends TableColumns>(
+  records: readonly Partial<InferTable<C>>[],
+  columns: C,
+  headers: readonly unknown[] = Object.keys(columns).map(
+    (key) => columns[key].header ?? key,
+  ),
+): unknown[][] {
+  const indexes = findColumnIndexes(
+    headers.map((header) => String(header ?? '')),
+    columns,
+  )
+  const keys: (string | undefined)[] = headers.map(() => undefined)
+  for (const key of Object.keys(indexes)) keys[indexes[key] as number] = key
+
+  return records.map((record) =>
+    keys.map((key) =>
+      key === undefined ? '' : toCell((record as Record<string, unknown>)[key]),
+    ),
+  )
+}
+
+function findColumnIndexes(headers: readonly string[], columns: TableColumns) {
+  const normalized = headers.map(normalizeHeader)
+  const indexes: Record<string, number> = {}
+  const used = new Set<number>()
+  for (const key of Object.keys(columns)) {
+    const { header = key, aliases = [] } = columns[key]
+    for (const name of [header, ...aliases].map(normalizeHeader)) {
+      // The first matching header wins, and each header maps to one field
+      const index = normalized.findIndex(
+        (candidate, position) => candidate === name && !used.has(position),
+      )
+      if (index === -1) continue
+      indexes[key] = index
+      used.add(index)
+      break
+    }
+  }
+  return indexes
+}
+
+function normalizeHeader(header: string) {
+  return header.trim().replace(/\s+/g, ' ').toLowerCase()
+}
+
+function isBlank(value: unknown) {
+  return value == null || value === ''
+}
+
+function toCell(value: unknown): unknown {
+  if (value == null) return ''
+  if (Array.isArray(value)) return value.map((item) => toCell(item)).join(', ')
+  if (isDate(value) || typeof value !== 'object') return value
+  return isPlainObject(value) ? JSON.stringify(value) : String(value)
+}
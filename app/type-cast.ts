@@ -4,13 +4,94 @@
 export type DateValue = Date | number | string | null | undefined
 
 /**
- * Returns a Date from the specified argument.
+ * Valid number value types that can be converted to a number
+ */
+export type NumberValue = number | string | boolean | Date | null | undefined
+
+/**
+ * Valid integer value types that can be converted to an integer
+ */
+export type IntegerValue = number | string | boolean | Date | null | undefined
+
+/**
+ * Valid boolean value types that can be converted to a boolean
+ */
+export type BooleanValue = boolean | number | string | null | undefined
+
+/**
+ * Valid text value types that can be converted to a string
+ */
+export type TextValue = string | number | boolean | Date | null | undefined
+
+/**
+ * Valid array value types that can be converted to an array
+ */
+export type ArrayValue<T = string> = readonly T[] | T | string | null | undefined
+
+/**
+ * Valid JSON value types that can be converted to a parsed JSON value
+ */
+export type JsonValue = string | number | boolean | object | null | undefined
+
+/**
+ * Opt-in rules for reading spreadsheet and locale-specific date values
+ */
+export type DateOptions = {
+  /** Read numbers as spreadsheet serial days since 1899-12-30 */
+  serial?: boolean
+  /** Input patterns such as "dd/MM/yyyy", "MM/dd/yyyy HH:mm" or "YYYY-'W'ww-u" */
+  format?: string | readonly string[]
+  /** IANA time zone for wall-clock values, or "script" for the manifest time zone */
+  timeZone?: string
+}
+
+const TRUE_STRINGS = ['true', 'yes', 'y', 'on', '1', 'checked']
+const FALSE_STRINGS = ['false', 'no', 'n', 'off', '0', 'unchecked']
+
+const DAY_MS = 86400000
+const SERIAL_EPOCH_MS = Date.UTC(1899, 11, 30)
+const LOCAL_ISO_FORMATS = [
+  'yyyy-MM-dd',
+  'yyyy-MM-dd HH:mm',
+  'yyyy-MM-dd HH:mm:ss',
+  "yyyy-MM-dd'T'HH:mm",
+  "yyyy-MM-dd'T'HH:mm:ss",
+  "yyyy-MM-dd'T'HH:mm:ss.SSS",
+]
+const MONTH_NAMES = [
+  'january',
+  'february',
+  'march',
+  'april',
+  'may',
+  'june',
+  'july',
+  'august',
+  'september',
+  'october',
+  'november',
+  'december',
+]
+
+/**
+ * Returns a Date from the specified argument. Without options, strings and numbers
+ * are passed to the Date constructor. With options, numbers can be read as
+ * spreadsheet serials and strings as wall-clock values in the given patterns and
+ * time zone.
  * @param value - The value to convert to Date
  * @param defaultValue - Default Date to return if conversion fails
+ * @param options - Serial, input format and time zone rules
  */
-export function toDate(value: DateValue, defaultValue?: Date): Date | undefined {
+export function toDate(
+  value: DateValue,
+  defaultValue?: Date,
+  options?: DateOptions,
+): Date | undefined {
   if (value == null || value === undefined) return defaultValue
   if (value instanceof Date) return Number.isNaN(value.getTime()) ? defaultValue : value
+  if (options && (typeof value === 'string' || typeof value === 'number')) {
+    return parseDateWithOptions(value, options) ?? defaultValue
+  }
   if (typeof value === 'string' || typeof value === 'number') {
     const date = new Date(value)
     return Number.isNaN(date.getTime()) ? defaultValue : date
@@ -22,9 +103,493 @@ export function toDate(value: DateValue, defaultValue?: Date): Date | undefined
  * Returns a Date from the specified argument, throwing if conversion fails.
  * @param value - The value to convert to Date
  * @param defaultValue - Default Date to return if conversion fails
+ * @param options - Serial, input format and time zone rules
+ * @throws {TypeError} If the value cannot be converted
  */
-export function toDateStrict(value: DateValue, defaultValue?: Date): Date {
-  const date = toDate(value, defaultValue)
+export function toDateStrict(
+  value: DateValue,
+  defaultValue?: Date,
+  options?: DateOptions,
+): Date {
+  const date = toDate(value, defaultValue, options)
   if (date === undefined) throw new TypeError('Value cannot be converted to Date')
   return date
 }
+
+/**
+ * Returns a finite number from the specified argument. Strings may contain
+ * thousands separators ("1,234.5") or a trailing percent sign ("45%").
+ * @param value - The value to convert to a number
+ * @param defaultValue - Default number to return if conversion fails
+ */
+export function toNumber(
+  value: NumberValue,
+  defaultValue?: number,
+): number | undefined {
+  if (value == null) return defaultValue
+  if (typeof value === 'number') return Number.isFinite(value) ? value : defaultValue
+  if (typeof value === 'boolean') return value ? 1 : 0
+  if (value instanceof Date) {
+    const time = value.getTime()
+    return Number.isNaN(time) ? defaultValue : time
+  }
+  if (typeof value === 'string') {
+    let text = value.trim()
+    if (text === '') return defaultValue
+
+    let scale = 1
+    if (text.endsWith('%')) {
+      text = text.slice(0, -1).trim()
+      scale = 100
+    }
+    if (/^[+-]?\d{1,3}(,\d{3})+(\.\d+)?$/.test(text)) text = text.replace(/,/g, '')
+
+    const number = Number(text) / scale
+    return Number.isFinite(number) ? number : defaultValue
+  }
+  return defaultValue
+}
+
+/**
+ * Returns a finite number from the specified argument, throwing if conversion fails.
+ * @param value - The value to convert to a number
+ * @param defaultValue - Default number to return if conversion fails
+ * @throws {TypeError} If the value cannot be converted
+ */
+export function toNumberStrict(value: NumberValue, defaultValue?: number): number {
+  const number = toNumber(value, defaultValue)
+  if (number === undefined) throw new TypeError('Value cannot be converted to Number')
+  return number
+}
+
+/**
+ * Returns a safe integer from the specified argument. Fractional values are
+ * truncated toward zero.
+ * @param value - The value to convert to an integer
+ * @param defaultValue - Default integer to return if conversion fails
+ */
+export function toInteger(
+  value: IntegerValue,
+  defaultValue?: number,
+): number | undefined {
+  const number = toNumber(value)
+  if (number === undefined) return defaultValue
+  const integer = Math.trunc(number)
+  return Number.isSafeInteger(integer) ? integer : defaultValue
+}
+
+/**
+ * Returns a safe integer from the specified argument, throwing if conversion fails.
+ * @param value - The value to convert to an integer
+ * @param defaultValue - Default integer to return if conversion fails
+ * @throws {TypeError} If the value cannot be converted
+ */
+export function toIntegerStrict(value: IntegerValue, defaultValue?: number): number {
+  const integer = toInteger(value, defaultValue)
+  if (integer === undefined) throw new TypeError('Value cannot be converted to Integer')
+  return integer
+}
+
+/**
+ * Returns a boolean from the specified argument. Recognizes checkbox values and
+ * common form answers such as "TRUE", "yes", "on" and 1, ignoring case.
+ * @param value - The value to convert to a boolean
+ * @param defaultValue - Default boolean to return if conversion fails
+ */
+export function toBoolean(
+  value: BooleanValue,
+  defaultValue?: boolean,
+): boolean | undefined {
+  if (value == null) return defaultValue
+  if (typeof value === 'boolean') return value
+  if (typeof value === 'number') return Number.isNaN(value) ? defaultValue : value !== 0
+  if (typeof value === 'string') {
+    const text = value.trim().toLowerCase()
+    if (TRUE_STRINGS.includes(text)) return true
+    if (FALSE_STRINGS.includes(text)) return false
+  }
+  return defaultValue
+}
+
+/**
+ * Returns a boolean from the specified argument, throwing if conversion fails.
+ * @param value - The value to convert to a boolean
+ * @param defaultValue - Default boolean to return if conversion fails
+ * @throws {TypeError} If the value cannot be converted
+ */
+export function toBooleanStrict(value: BooleanValue, defaultValue?: boolean): boolean {
+  const boolean = toBoolean(value, defaultValue)
+  if (boolean === undefined) throw new TypeError('Value cannot be converted to Boolean')
+  return boolean
+}
+
+/**
+ * Returns a string from the specified argument. Dates are formatted as ISO 8601.
+ * Named toText so the GAS global scope's toString is not shadowed.
+ * @param value - The value to convert to a string
+ * @param defaultValue - Default string to return if conversion fails
+ */
+export function toText(value: TextValue, defaultValue?: string): string | undefined {
+  if (value == null) return defaultValue
+  if (typeof value === 'string') return value
+  if (typeof value === 'number')
+    return Number.isNaN(value) ? defaultValue : String(value)
+  if (typeof value === 'boolean') return String(value)
+  if (value instanceof Date) {
+    return Number.isNaN(value.getTime()) ? defaultValue : value.toISOString()
+  }
+  return defaultValue
+}
+
+/**
+ * Returns a string from the specified argument, throwing if conversion fails.
+ * @param value - The value to convert to a string
+ * @param defaultValue - Default string to return if conversion fails
+ * @throws {TypeError} If the value cannot be converted
+ */
+export function toTextStrict(value: TextValue, defaultValue?: string): string {
+  const text = toText(value, defaultValue)
+  if (text === undefined) throw new TypeError('Value cannot be converted to String')
+  return text
+}
+
+/**
+ * Returns an array from the specified argument. Strings are split on commas
+ * with blank items removed, arrays are copied and any other value is wrapped.
+ * @param value - The value to convert to an array
+ * @param defaultValue - Default array to return if conversion fails
+ */
+export function toArray<T = string>(
+  value: readonly T[] | T | null | undefined,
+  defaultValue?: T[],
+): T[] | undefined
+/**
+ * Returns an array from the specified argument. Strings are split on commas
+ * with blank items removed and each item converted, such as with toNumber;
+ * arrays are copied and any other value is wrapped.
+ * @param value - The value to convert to an array
+ * @param defaultValue - Default array to return if conversion fails
+ * @param convertItem - Converts each item of a string, returning undefined to fail
+ */
+export function toArray<T>(
+  value: ArrayValue<T>,
+  defaultValue: T[] | undefined,
+  convertItem: (item: string) => T | undefined,
+): T[] | undefined
+export function toArray<T>(
+  value: ArrayValue<T>,
+  defaultValue?: T[],
+  convertItem?: (item: string) => T | undefined,
+): T[] | undefined {
+  if (value == null) return defaultValue
+  if (Array.isArray(value)) return [...value]
+  if (typeof value !== 'string') return [value as T]
+
+  const items = value
+    .split(',')
+    .map((item) => item.trim())
+    .filter((item) => item !== '')
+  // Without a converter, T can only be string here
+  if (!convertItem) return items as T[]
+
+  const converted = items.map((item) => convertItem(item))
+  return converted.includes(undefined) ? defaultValue : (converted as T[])
+}
+
+/**
+ * Returns an array from the specified argument, throwing if conversion fails.
+ * @param value - The value to convert to an array
+ * @param defaultValue - Default array to return if conversion fails
+ * @throws {TypeError} If the value cannot be converted
+ */
+export function toArrayStrict<T = string>(
+  value: readonly T[] | T | null | undefined,
+  defaultValue?: T[],
+): T[]
+/**
+ * Returns an array from the specified argument with each item of a string
+ * converted, such as with toNumber, throwing if conversion fails.
+ * @param value - The value to convert to an array
+ * @param defaultValue - Default array to return if conversion fails
+ * @param convertItem - Converts each item of a string, returning undefined to fail
+ * @throws {TypeError} If the value cannot be converted
+ */
+export function toArrayStrict<T>(
+  value: ArrayValue<T>,
+  defaultValue: T[] | undefined,
+  convertItem: (item: string) => T | undefined,
+): T[]
+export function toArrayStrict<T>(
+  value: ArrayValue<T>,
+  defaultValue?: T[],
+  convertItem?: (item: string) => T | undefined,
+): T[] {
+  const array = convertItem
+    ? toArray(value, defaultValue, convertItem)
+    : toArray(value as readonly T[] | T, defaultValue)
+  if (array === undefined) throw new TypeError('Value cannot be converted to Array')
+  return array
+}
+
+/**
+ * Returns a parsed JSON value from the specified argument. Strings are parsed
+ * with JSON.parse and any other non-null value is returned as is.
+ * @param value - The value to convert to a parsed JSON value
+ * @param defaultValue - Default value to return if conversion fails
+ */
+export function toJson<T = unknown>(value: JsonValue, defaultValue?: T): T | undefined {
+  if (value == null) return defaultValue
+  if (typeof value !== 'string') return value as T
+  if (value.trim() === '') return defaultValue
+  try {
+    return JSON.parse(value) as T
+  } catch (_error) {
+    return defaultValue
+  }
+}
+
+/**
+ * Returns a parsed JSON value from the specified argument, throwing if conversion
+ * fails.
+ * @param value - The value to convert to a parsed JSON value
+ * @param defaultValue - Default value to return if conversion fails
+ * @throws {TypeError} If the value cannot be converted
+ */
+export function toJsonStrict<T = unknown>(value: JsonValue, defaultValue?: T): T {
+  const json = toJson(value, defaultValue)
+  if (json === undefined) throw new TypeError('Value cannot be converted to JSON')
+  return json
+}
+
+type DateFields = {
+  year: number
+  month: number
+  day: number
+  hour: number
+  minute: number
+  second: number
+  millisecond: number
+}
+
+function parseDateWithOptions(value: string | number, options: DateOptions) {
+  const timeZone = resolveTimeZone(options.timeZone)
+
+  if (typeof value === 'number') {
+    if (!options.serial) return toValidDate(new Date(value))
+    return fieldsToDate(serialToFields(value), timeZone)
+  }
+
+  const text = value.trim()
+  if (text === '') return undefined
+
+  // Without explicit patterns, only zone-less ISO strings are read in the time zone
+  const formats =
+    typeof options.format === 'string' ? [options.format] : [...(options.format ?? [])]
+  const candidates = formats.length > 0 ? formats : timeZone ? LOCAL_ISO_FORMATS : []
+  for (const format of candidates) {
+    const fields = parseDateFields(text, format)
+    if (fields) return fieldsToDate(fields, timeZone)
+  }
+  return formats.length > 0 ? undefined : toValidDate(new Date(text))
+}
+
+function resolveTimeZone(timeZone: string | undefined) {
+  if (timeZone !== 'script') return timeZone
+  return typeof Session === 'undefined' ? undefined : Session.getScriptTimeZone()
+}
+
+function toValidDate(date: Date) {
+  return Number.isNaN(date.getTime()) ? undefined : date
+}
+
+function serialToFields(serial: number): DateFields | undefined {
+  if (!Number.isFinite(serial)) return undefined
+  const wallClock = new Date(SERIAL_EPOCH_MS + Math.round(serial * DAY_MS))
+  return {
+    year: wallClock.getUTCFullYear(),
+    month: wallClock.getUTCMonth() + 1,
+    day: wallClock.getUTCDate(),
+    hour: wallClock.getUTCHours(),
+    minute: wallClock.getUTCMinutes(),
+    second: wallClock.getUTCSeconds(),
+    millisecond: wallClock.getUTCMilliseconds(),
+  }
+}
+
+/**
+ * Matches text against a Utilities.formatDate style pattern. Supports yyyy, yy,
+ * MMMM, MMM, MM, M, dd, d, HH, H, hh, h, a, mm, m, ss, s, SSS, the ISO week
+ * tokens YYYY, ww and u, and quoted literals.
+ */
+function parseDateFields(text: string, format: string): DateFields | undefined {
+  const tokens: string[] = []
+  const source = format.replace(
+    /'([^']*)'|([A-Za-z])\2*|[^A-Za-z']+/g,
+    (match, quoted) => {
+      if (quoted !== undefined) return escapeRegExp(quoted)
+      if (!/^[A-Za-z]/.test(match)) return escapeRegExp(match)
+      tokens.push(match)
+      return `(${dateTokenPattern(match)})`
+    },
+  )
+  const match = new RegExp(`^${source}$`, 'i').exec(text)
+  if (!match) return undefined
+
+  const values: Record<string, string> = {}
+  tokens.forEach((token, index) => {
+    values[token] = match[index + 1]
+  })
+
+  let year = Number(values.yyyy ?? values.YYYY ?? Number.NaN)
+  if (values.yy !== undefined) year = expandTwoDigitYear(Number(values.yy))
+  let month = Number(values.MM ?? values.M ?? 1)
+  let day = Number(values.dd ?? values.d ?? 1)
+
+  const monthName = (values.MMMM ?? values.MMM)?.replace('.', '').toLowerCase()
+  if (monthName !== undefined) {
+    month = MONTH_NAMES.findIndex((name) => name.startsWith(monthName)) + 1
+  }
+
+  const week = values.ww ?? values.w
+  if (values.YYYY !== undefined && week !== undefined) {
+    const weekDate = isoWeekToDate(year, Number(week), Number(values.u ?? 1))
+    if (!weekDate) return undefined
+    year = weekDate.getUTCFullYear()
+    month = weekDate.getUTCMonth() + 1
+    day = weekDate.getUTCDate()
+  }
+
+  let hour = Number(values.HH ?? values.H ?? values.hh ?? values.h ?? 0)
+  if (values.a !== undefined) {
+    if (hour < 1 || hour > 12) return undefined
+    hour = (hour % 12) + (values.a.toLowerCase() === 'pm' ? 12 : 0)
+  }
+
+  const fields = {
+    year,
+    month,
+    day,
+    hour,
+    minute: Number(values.mm ?? values.m ?? 0),
+    second: Number(values.ss ?? values.s ?? 0),
+    millisecond: Number((values.SSS ?? '0').padEnd(3, '0')),
+  }
+  return isValidDateFields(fields) ? fields : undefined
+}
+
+function dateTokenPattern(token: string) {
+  switch (token) {
+    case 'yyyy':
+    case 'YYYY':
+      return '\\d{4}'
+    case 'yy':
+      return '\\d{2}'
+    case 'MMMM':
+    case 'MMM':
+      return '[A-Za-z]{3,9}\\.?'
+    case 'SSS':
+      return '\\d{1,3}'
+    case 'a':
+      return 'am|pm'
+    case 'u':
+      return '[1-7]'
+    case 'MM':
+    case 'M':
+    case 'dd':
+    case 'd':
+    case 'HH':
+    case 'H':
+    case 'hh':
+    case 'h':
+    case 'mm':
+    case 'm':
+    case 'ss':
+    case 's':
+    case 'ww':
+    case 'w':
+      return '\\d{1,2}'
+    default:
+      throw new RangeError(`Unsupported date format token: ${token}`)
+  }
+}
+
+function escapeRegExp(text: string) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+}
+
+function expandTwoDigitYear(year: number) {
+  const pivot = (new Date().getFullYear() + 20) % 100
+  return year <= pivot ? 2000 + year : 1900 + year
+}
+
+function isoWeekToDate(weekYear: number, week: number, weekday: number) {
+  const date = isoWeekOneMonday(weekYear) + ((week - 1) * 7 + (weekday - 1)) * DAY_MS
+  if (week < 1 || date >= isoWeekOneMonday(weekYear + 1)) return undefined
+  return new Date(date)
+}
+
+function isoWeekOneMonday(weekYear: number) {
+  const january4 = Date.UTC(weekYear, 0, 4)
+  return january4 - ((new Date(january4).getUTCDay() + 6) % 7) * DAY_MS
+}
+
+function isValidDateFields(fields: DateFields) {
+  const { year, month, day, hour, minute, second, millisecond } = fields
+  if (![year, month, day, hour, minute, second, millisecond].every(Number.isInteger)) {
+    return false
+  }
+  const daysInMonth = new Date(Date.UTC(year, month, 0)).getUTCDate()
+  return (
+    month >= 1 &&
+    month <= 12 &&
+    day >= 1 &&
+    day <= daysInMonth &&
+    hour <= 23 &&
+    minute <= 59 &&
+    second <= 59
+  )
+}
+
+/**
+ * Builds a Date from wall-clock fields, read in the given IANA time zone or in the
+ * runtime's local time zone when none is given.
+ */
+function fieldsToDate(fields: DateFields | undefined, timeZone: string | undefined) {
+  if (!fields) return undefined
+  const { year, month, day, hour, minute, second, millisecond } = fields
+
+  if (!timeZone) {
+    const date = new Date(2000, month - 1, day, hour, minute, second, millisecond)
+    date.setFullYear(year)
+    return toValidDate(date)
+  }
+
+  const wallClock = new Date(0)
+  wallClock.setUTCFullYear(year, month - 1, day)
+  wallClock.setUTCHours(hour, minute, second, millisecond)
+  const guess = wallClock.getTime()
+
+  // Re-check the offset at the resulting instant to land correctly around DST changes
+  const offset = getTimeZoneOffset(guess, timeZone)
+  const adjustedOffset = getTimeZoneOffset(guess - offset, timeZone)
+  return toValidDate(new Date(guess - adjustedOffset))
+}
+
+function getTimeZoneOffset(time: number, timeZone: string) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric',
+  }).formatToParts(new Date(time))
+
+  const part = (type: string) => Number(parts.find((p) => p.type === type)?.value)
+  const wallClock = new Date(0)
+  wallClock.setUTCFullYear(part('year'), part('month') - 1, part('day'))
+  wallClock.setUTCHours(part('hour'), part('minute'), part('second'))
+  return wallClock.getTime() - (time - (((time % 1000) + 1000) % 1000))
+}
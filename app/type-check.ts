@@ -1,7 +1,109 @@
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@.]+(\.[^\s@.]+)+$/
+const URL_PATTERN = /^https?:\/\/[^\s/?#.][^\s/?#]*(?:[/?#]\S*)?$/i
+
 /**
  * Returns true if the value is a valid Date object
- * @param value - The value to convert to Date
+ * @param value - The value to check
  */
-export function isDate(value: unknown): boolean {
+export function isDate(value: unknown): value is Date {
   return value instanceof Date && !Number.isNaN(value.getTime())
 }
+
+/**
+ * Returns true if the value is a string
+ * @param value - The value to check
+ */
+export function isString(value: unknown): value is string {
+  return typeof value === 'string'
+}
+
+/**
+ * Returns true if the value is a finite number
+ * @param value - The value to check
+ */
+export function isNumber(value: unknown): value is number {
+  return typeof value === 'number' && Number.isFinite(value)
+}
+
+/**
+ * Returns true if the value is an integer number
+ * @param value - The value to check
+ */
+export function isInteger(value: unknown): value is number {
+  return Number.isInteger(value)
+}
+
+/**
+ * Returns true if the value is a boolean
+ * @param value - The value to check
+ */
+export function isBoolean(value: unknown): value is boolean {
+  return typeof value === 'boolean'
+}
+
+/**
+ * Returns true if the value is an object created by an object literal,
+ * Object.create(null) or JSON.parse
+ * @param value - The value to check
+ */
+export function isPlainObject(value: unknown): value is Record<string, unknown> {
+  if (typeof value !== 'object' || value === null) return false
+  const prototype = Object.getPrototypeOf(value)
+  return prototype === null || prototype === Object.prototype
+}
+
+/**
+ * Returns true if the value is an array whose items all pass the guard
+ * @param value - The value to check
+ * @param guard - The type guard each item must pass
+ */
+export function isArrayOf<T>(
+  value: unknown,
+  guard: (item: unknown) => item is T,
+): value is T[] {
+  return Array.isArray(value) && value.every((item) => guard(item))
+}
+
+/**
+ * Returns true if the value is a string with at least one non-whitespace character
+ * @param value - The value to check
+ */
+export function isNonEmptyString(value: unknown): value is string {
+  return typeof value === 'string' && value.trim() !== ''
+}
+
+/**
+ * Returns true if the value is a string shaped like an email address
+ * @param value - The value to check
+ */
+export function isEmail(value: unknown): value is string {
+  return typeof value === 'string' && EMAIL_PATTERN.test(value)
+}
+
+/**
+ * Returns true if the value is a string holding an absolute http or https URL
+ * @param value - The value to check
+ */
+export function isUrl(value: unknown): value is string {
+  return typeof value === 'string' && URL_PATTERN.test(value)
+}
+
+/**
+ * Returns true if the value is null or undefined
+ * @param value - The value to check
+ */
+export function isNullish(value: unknown): value is null | undefined {
+  return value == null
+}
+
+/**
+ * Returns true if the value has a callable then method
+ * @param value - The value to check
+ */
+export function isPromiseLike(value: unknown): value is PromiseLike<unknown> {
+  return (
+    (typeof value === 'object' || typeof value === 'function') &&
+    value !== null &&
+    typeof (value as PromiseLike<unknown>).then === 'function'
+  )
+}
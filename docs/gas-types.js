@@ -2,39 +2,1345 @@
  * @namespace Utils
  */
 
+/**
+ * A rectangle of cells with 1-based, inclusive row and column numbers, as
+ * Sheet.getRange(row, column) uses. Missing start bounds mean the first row or
+ * column and missing end bounds mean the last, so "B:D" has no row bounds and
+ * "B2:D" no end row.
+ * @typedef {Object} Utils.A1Range
+ * @property {string} [sheetName] - Name of the sheet, undefined for ranges without a sheet prefix
+ * @property {number} [startRow] - First row number
+ * @property {number} [startColumn] - First column number
+ * @property {number} [endRow] - Last row number
+ * @property {number} [endColumn] - Last column number
+ */
+
+/**
+ * The cell that relative R1C1 references such as "R[1]C[-1]" are relative to
+ * @typedef {Object} Utils.R1C1Base
+ * @property {number} row - Row number of the cell
+ * @property {number} column - Column number of the cell
+ */
+
+/**
+ * The ScriptApp methods runBatch uses to schedule its continuation, so a fake can
+ * stand in
+ * @typedef {Pick< GoogleAppsScript.Script.ScriptApp, 'newTrigger' | 'getProjectTriggers' | 'deleteTrigger' >} Utils.TriggerApi
+ */
+
+/**
+ * Where a batch is and what it has collected, passed to process
+ * @template S
+ * @typedef {Object} Utils.BatchContext
+ * @property {number} start - Index of the first item of the chunk
+ * @property {S} state - State returned by the previous chunk, or the initial state
+ */
+
+/**
+ * Progress of a batch, reported after every chunk and returned by runBatch
+ * @template S
+ * @typedef {Object} Utils.BatchProgress
+ * @property {string} name - Name of the batch
+ * @property {number} processed - Items processed across every run
+ * @property {number | undefined} total - Number of items, undefined when they are read chunk by chunk
+ * @property {number} runs - Number of the current run, starting at 1
+ * @property {number} elapsed - Milliseconds spent in the current run
+ * @property {S} state - State after the last chunk
+ * @property {'running' | 'paused' | 'done'} status - "running" between chunks, "paused" when a continuation is scheduled
+ */
+
+/**
+ * Settings for runBatch
+ * @template T
+ * @template S
+ * @typedef {Object} Utils.BatchOptions
+ * @property {string} name - Unique name of the batch, which keys its saved cursor and state
+ * @property {string} handler - Name of the global function that calls runBatch again when triggered
+ * @property {readonly T[] | ((start: number, count: number) => readonly T[])} items - The items, or a function returning count items from start (fewer at the end)
+ * @property {(chunk: T[], context: Utils.BatchContext<S>) => S | undefined} process - Processes one chunk and returns the new state, or nothing to keep the state
+ * @property {S} [initialState] - State of the first run; it is saved as JSON, so keep it small
+ * @property {number} [chunkSize] - Items per chunk, 100 by default
+ * @property {number} [budget] - Milliseconds a run may take before it pauses, 270000 by default
+ * @property {number} [resumeAfter] - Milliseconds before the continuation trigger fires, 60000 by default
+ * @property {(progress: Utils.BatchProgress<S>) => void} [onProgress] - Called after every chunk and when the run pauses or finishes
+ * @property {() => number} [now] - Returns the current time in milliseconds, Date.now by default
+ * @property {Utils.PropertyStore} [store] - Where the cursor and state are saved, script properties by default
+ * @property {Utils.TriggerApi} [triggers] - Schedules continuations, ScriptApp by default
+ */
+
+/**
+ * The CacheService methods TypedCache uses, so an in-memory cache can stand in
+ * @typedef {Pick< GoogleAppsScript.Cache.Cache, 'get' | 'getAll' | 'putAll' | 'removeAll' >} Utils.CacheStore
+ */
+
+/**
+ * Settings for TypedCache and memoize
+ * @typedef {Object} Utils.CacheOptions
+ * @property {string} [namespace] - Prefix of every key, joined with ":"
+ * @property {number} [ttl] - Seconds to keep values, 600 by default and at most 21600
+ * @property {Utils.CacheStore} [store] - Backing cache, CacheService.getScriptCache() by default
+ */
+
+/**
+ * Settings for memoize
+ * @template {unknown[]} A
+ * @typedef {Utils.CacheOptions & { keyFn?: (...args: A) => string }} Utils.MemoizeOptions
+ */
+
+/**
+ * A setting stored under one property
+ * @template [T=unknown]
+ * @typedef {Object} Utils.ConfigSetting
+ * @property {Utils.Schema<T>} schema - Coerces the stored text, such as numberSchema() or arraySchema(stringSchema())
+ * @property {T} [default] - Value used when the property is missing or malformed
+ * @property {boolean} [required] - Report the setting when it is missing and has no default
+ * @property {boolean} [secret] - Leave the stored text out of reports and error messages
+ * @property {readonly string[]} [previousKeys] - Keys the setting was stored under before it was renamed, newest first
+ */
+
+/**
+ * The settings of a ConfigStore, keyed by setting name
+ * @typedef {Record<string, Utils.ConfigSetting>} Utils.ConfigSettings
+ */
+
+/**
+ * The values of a ConfigStore: settings that are required or have a default are
+ * always set
+ * @template {Utils.ConfigSettings} S
+ * @typedef {{ [K in keyof S]: S[K] extends { required: true } | { default: unknown } ? Utils.InferSchema<S[K]['schema']> : Utils.InferSchema<S[K]['schema']> | undefined }} Utils.InferConfig
+ */
+
+/**
+ * The Properties methods ConfigStore uses, so an in-memory store can stand in
+ * @typedef {Pick< GoogleAppsScript.Properties.Properties, 'getProperty' | 'getProperties' | 'setProperties' | 'deleteProperty' >} Utils.PropertyStore
+ */
+
+/**
+ * Where a ConfigStore keeps its properties
+ * @typedef {Object} Utils.ConfigOptions
+ * @property {'script' | 'user' | 'document'} [scope] - PropertiesService store to use, "script" by default
+ * @property {string} [namespace] - Prefix of every property key, joined with ":"
+ * @property {Utils.PropertyStore} [store] - Backing store, which overrides scope
+ */
+
+/**
+ * A setting that is missing or does not match its schema
+ * @typedef {Object} Utils.ConfigIssue
+ * @property {string} key - Name of the setting
+ * @property {string} [property] - Property the malformed text was read from
+ * @property {'missing' | 'malformed'} problem - Whether the setting is missing or malformed
+ * @property {string} message - Why the setting was rejected
+ * @property {string} [value] - The stored text, left out for secret settings
+ */
+
+/**
+ * Result of validating every setting
+ * @typedef {Object} Utils.ConfigReport
+ * @property {boolean} ok - True if no setting has an issue
+ * @property {Utils.ConfigIssue[]} issues - Every missing or malformed setting, in declaration order
+ */
+
+/**
+ * Request bodies UrlFetchApp can send: text, bytes, a Blob or form fields
+ * @typedef {string | number[] | GoogleAppsScript.Base.BlobSource | Record<string, string | GoogleAppsScript.Base.BlobSource>} Utils.RequestBody
+ */
+
+/**
+ * The subset of an UrlFetchApp HTTPResponse that fetch reads
+ * @typedef {Object} Utils.FetchTransportResponse
+ * @property {() => number} getResponseCode
+ * @property {() => object} getAllHeaders
+ * @property {(charset?: string) => string} getContentText
+ * @property {() => number[]} getContent
+ * @property {() => GoogleAppsScript.Base.Blob} [getBlob]
+ */
+
+/**
+ * Sends a request; UrlFetchApp by default, or an in-memory fake in tests
+ * @typedef {Object} Utils.FetchTransport
+ * @property {(url: string, params: GoogleAppsScript.URL_Fetch.URLFetchRequestOptions) => Utils.FetchTransportResponse} fetch
+ */
+
+/**
+ * Standard fetch options plus the UrlFetchApp settings without a standard equivalent
+ * @typedef {Object} Utils.RequestInit
+ * @property {string} [method] - HTTP method, GET by default
+ * @property {Utils.HeadersInit} [headers] - Request headers; Content-Type is sent as the UrlFetchApp contentType
+ * @property {Utils.RequestBody | null} [body] - Request body, not allowed for GET and HEAD
+ * @property {'follow' | 'manual' | 'error'} [redirect] - Follow redirects, return the redirect response, or throw on redirects
+ * @property {boolean} [throwHttpErrors] - Throw an HttpError instead of returning responses that are not ok
+ * @property {boolean} [validateHttpsCertificates] - Reject invalid HTTPS certificates, true by default
+ * @property {Utils.FetchTransport} [transport] - Transport used to send the request, UrlFetchApp by default
+ */
+
+/**
+ * Values accepted by the Headers constructor, including the plain objects used by
+ * UrlFetchApp.fetch params and returned by HTTPResponse.getAllHeaders()
+ * @typedef {Utils.Headers | Iterable<readonly [string, string]> | Record<string, string | readonly string[]>} Utils.HeadersInit
+ */
+
+/**
+ * Details passed to onRetry before each retry
+ * @typedef {Object} Utils.RetryAttempt
+ * @property {number} attempt - Number of the attempt that failed, starting at 1
+ * @property {number} delay - Milliseconds that will be slept before the next attempt
+ * @property {Utils.Response} [response] - Response that will be retried, if the attempt got one
+ * @property {unknown} [error] - Error that will be retried, if the attempt threw
+ */
+
+/**
+ * Exponential backoff settings for fetchWithRetry
+ * @typedef {Object} Utils.RetryOptions
+ * @property {number} [retries] - Retries after the first attempt, 3 by default
+ * @property {number} [baseDelay] - Delay before the first retry in milliseconds, 500 by default
+ * @property {number} [maxDelay] - Largest backoff delay in milliseconds, 30000 by default
+ * @property {boolean} [jitter] - Randomize each delay between 0 and the backoff delay, true by default
+ * @property {number} [maxElapsed] - Hard cap on total elapsed milliseconds, 240000 by default
+ * @property {readonly number[]} [retryStatuses] - Response statuses to retry, 408, 429, 500, 502, 503 and 504 by default
+ * @property {readonly string[]} [retryMethods] - Methods to retry, the idempotent GET, HEAD, OPTIONS, PUT and DELETE by default
+ * @property {boolean} [respectRetryAfter] - Wait as long as a Retry-After header asks, true by default
+ * @property {(milliseconds: number) => void} [sleep] - Sleeps for the given milliseconds, Utilities.sleep by default
+ * @property {() => number} [now] - Returns the current time in milliseconds, Date.now by default
+ * @property {() => number} [random] - Returns a number in [0, 1) for jitter, Math.random by default
+ * @property {(attempt: Utils.RetryAttempt) => void} [onRetry] - Called before sleeping for each retry
+ */
+
+/**
+ * A parsed Content-Type header value
+ * @typedef {Object} Utils.ContentType
+ * @property {string} type - Lowercase top-level type such as "text"
+ * @property {string} subtype - Lowercase subtype such as "plain"
+ * @property {string} essence - Lowercase "type/subtype" without parameters
+ * @property {Record<string, string>} parameters - Parameters such as charset and boundary, keyed by lowercase name
+ */
+
+/**
+ * Names of Apps Script's MimeType enum members
+ * @typedef {keyof GoogleAppsScript.Base.MimeType} Utils.MimeTypeEnumName
+ */
+
+/**
+ * A validation error with the path of the rejected value
+ * @typedef {Object} Utils.SchemaError
+ * @property {string} path - Path to the value such as "rows[3].startDate", empty for the root value
+ * @property {string} message - Why the value was rejected
+ */
+
+/**
+ * Result of validating a value: the coerced value or every error that was found
+ * @template T
+ * @typedef {{ ok: true; value: T } | { ok: false; errors: Utils.SchemaError[] }} Utils.SchemaResult
+ */
+
+/**
+ * Validates and coerces unknown input into a typed value
+ * @template T
+ * @typedef {Object} Utils.Schema
+ * @property {string} type - Name of the expected type, used in error messages
+ * @property {(value: unknown, path: string, errors: Utils.SchemaError[]) => T} check - Coerces the value found at path, pushing errors instead of throwing
+ */
+
+/**
+ * The type produced by a schema
+ * @template S
+ * @typedef {S extends Utils.Schema<infer T> ? T : never} Utils.InferSchema
+ */
+
+/**
+ * The object type produced by an object schema shape, with optional keys for
+ * schemas that accept undefined
+ * @template {Record<string, Utils.Schema<unknown>>} S
+ * @typedef {{ [K in keyof S as undefined extends Utils.InferSchema<S[K]> ? never : K]: Utils.InferSchema<S[K]> } & { [K in keyof S as undefined extends Utils.InferSchema<S[K]> ? K : never]?: Utils.InferSchema<S[K]> }} Utils.InferShape
+ */
+
+/**
+ * A record field read from one column of a table
+ * @template [T=unknown]
+ * @typedef {Object} Utils.TableColumn
+ * @property {string} [header] - Header text of the column, matched ignoring case and spacing; defaults to the key
+ * @property {readonly string[]} [aliases] - Other header texts accepted for the column
+ * @property {Utils.Schema<T>} schema - Coerces each cell; blank cells are checked as undefined
+ * @property {boolean} [fillDown] - Repeat the value above for blank cells, as cells merged across rows read
+ */
+
+/**
+ * The columns of a table, keyed by record field
+ * @typedef {Record<string, Utils.TableColumn>} Utils.TableColumns
+ */
+
+/**
+ * The record type produced by table columns
+ * @template {Utils.TableColumns} C
+ * @typedef {Utils.InferShape<{ [K in keyof C]: C[K]['schema'] }>} Utils.InferTable
+ */
+
+/**
+ * A conversion error with the sheet coordinates of the rejected cell
+ * @typedef {Object} Utils.TableError
+ * @property {number} row - Sheet row number of the cell, or of the header row for a missing column
+ * @property {number | undefined} column - Sheet column number of the cell, undefined for a missing column
+ * @property {string} key - Record field of the column
+ * @property {string} message - Why the cell was rejected
+ */
+
+/**
+ * Where the values sit in the sheet and how blank rows are read
+ * @typedef {Object} Utils.TableOptions
+ * @property {number} [headerRow] - Index of the header row in the values, 0 by default
+ * @property {number} [firstRow] - Sheet row number of the first row of values, 1 by default
+ * @property {number} [firstColumn] - Sheet column number of the first column of values, 1 by default
+ * @property {boolean} [skipBlankRows] - Skip rows whose mapped cells are all blank, true by default
+ */
+
+/**
+ * Result of reading a table: the records, their sheet rows and every cell error
+ * @template T
+ * @typedef {Object} Utils.TableResult
+ * @property {T[]} records - One record per data row, including rows with errors
+ * @property {number[]} rows - Sheet row number of each record
+ * @property {string[]} headers - Header row as read, in the sheet's column order
+ * @property {Utils.TableError[]} errors - Every conversion error, in row order
+ */
+
 /**
  * Valid date value types that can be converted to Date
  * @typedef {Date | number | string | null | undefined} Utils.DateValue
  */
 
 /**
- * Returns a Date from the specified argument.
+ * Valid number value types that can be converted to a number
+ * @typedef {number | string | boolean | Date | null | undefined} Utils.NumberValue
+ */
+
+/**
+ * Valid integer value types that can be converted to an integer
+ * @typedef {number | string | boolean | Date | null | undefined} Utils.IntegerValue
+ */
+
+/**
+ * Valid boolean value types that can be converted to a boolean
+ * @typedef {boolean | number | string | null | undefined} Utils.BooleanValue
+ */
+
+/**
+ * Valid text value types that can be converted to a string
+ * @typedef {string | number | boolean | Date | null | undefined} Utils.TextValue
+ */
+
+/**
+ * Valid array value types that can be converted to an array
+ * @template [T=string]
+ * @typedef {readonly T[] | T | string | null | undefined} Utils.ArrayValue
+ */
+
+/**
+ * Valid JSON value types that can be converted to a parsed JSON value
+ * @typedef {string | number | boolean | object | null | undefined} Utils.JsonValue
+ */
+
+/**
+ * Opt-in rules for reading spreadsheet and locale-specific date values
+ * @typedef {Object} Utils.DateOptions
+ * @property {boolean} [serial] - Read numbers as spreadsheet serial days since 1899-12-30
+ * @property {string | readonly string[]} [format] - Input patterns such as "dd/MM/yyyy", "MM/dd/yyyy HH:mm" or "YYYY-'W'ww-u"
+ * @property {string} [timeZone] - IANA time zone for wall-clock values, or "script" for the manifest time zone
+ */
+
+/**
+ * Common MIME types by name
+ * @constant Utils.MIME_TYPES
+ * @type {Object}
+ * @property {"text/css"} CSS
+ * @property {"text/csv"} CSV
+ * @property {"application/x-www-form-urlencoded"} FORM
+ * @property {"image/gif"} GIF
+ * @property {"text/html"} HTML
+ * @property {"text/calendar"} ICS
+ * @property {"text/javascript"} JAVASCRIPT
+ * @property {"image/jpeg"} JPEG
+ * @property {"application/json"} JSON
+ * @property {"text/markdown"} MARKDOWN
+ * @property {"multipart/form-data"} MULTIPART_FORM
+ * @property {"application/octet-stream"} OCTET_STREAM
+ * @property {"application/pdf"} PDF
+ * @property {"text/plain"} PLAIN_TEXT
+ * @property {"image/png"} PNG
+ * @property {"image/svg+xml"} SVG
+ * @property {"text/tab-separated-values"} TSV
+ * @property {"application/xml"} XML
+ * @property {"application/zip"} ZIP
+ */
+
+/**
+ * Values of Apps Script's MimeType enum, including Google Workspace types, so
+ * they can be used outside Apps Script
+ * @constant Utils.MIME_TYPE_ENUM
+ * @type {Readonly<Record<Utils.MimeTypeEnumName, string>>}
+ */
+
+/**
+ * A CacheService cache for any JSON value. Dates survive the round trip, values
+ * over the 100KB limit are split across several keys and checked when they are
+ * joined again, and a missing or mismatched chunk reads as a cache miss.
+ * @class Utils.TypedCache
+ * @param {Utils.CacheOptions} [options] - Namespace, time to live and backing cache
+ */
+
+/**
+ * Returns a cached value, or undefined if it is missing or incomplete.
+ * @function Utils.TypedCache#get
+ * @template [T=unknown]
+ * @param {string} key - The key within the namespace
+ * @returns {T | undefined}
+ */
+
+/**
+ * Caches a value, splitting it across several keys if it is too large.
+ * @function Utils.TypedCache#put
+ * @param {string} key - The key within the namespace
+ * @param {unknown} value - Any JSON value, Dates included
+ * @param {number} [ttl] - Seconds to keep the value, the cache's ttl by default
+ * @returns {void}
+ */
+
+/**
+ * Removes a cached value and its chunks.
+ * @function Utils.TypedCache#remove
+ * @param {string} key - The key within the namespace
+ * @returns {void}
+ */
+
+/**
+ * Returns the cached value, or loads and caches it. Undefined results are not
+ * cached.
+ * @function Utils.TypedCache#getOrLoad
+ * @template T
+ * @param {string} key - The key within the namespace
+ * @param {() => T} load - Returns the value when it is not cached
+ * @param {number} [ttl] - Seconds to keep a loaded value, the cache's ttl by default
+ * @returns {T}
+ */
+
+/**
+ * Typed settings over PropertiesService. Values are written as text (Dates as ISO
+ * strings, arrays and objects as JSON) and read back through each setting's
+ * schema. getAll, validate and migrate read every property with a single
+ * getProperties() call.
+ * @class Utils.ConfigStore
+ * @template {Utils.ConfigSettings} S
+ * @param {S} settings - The type, default and flags of each setting
+ * @param {Utils.ConfigOptions} [options] - The properties store and namespace
+ */
+
+/**
+ * Returns one setting, falling back to its previous keys and its default.
+ * @function Utils.ConfigStore#get
+ * @template {keyof S & string} K
+ * @param {K} key - The setting name
+ * @returns {Utils.InferConfig<S>[K]} The typed value
+ * @throws {TypeError} If the setting is required and missing, or malformed
+ */
+
+/**
+ * Returns every setting.
+ * @function Utils.ConfigStore#getAll
+ * @returns {Utils.InferConfig<S>} The typed values
+ * @throws {TypeError} If a required setting is missing or any setting is malformed
+ */
+
+/**
+ * Stores one setting after checking it against its schema.
+ * @function Utils.ConfigStore#set
+ * @template {keyof S & string} K
+ * @param {K} key - The setting name
+ * @param {Utils.InferSchema<S[K]['schema']>} value - The new value
+ * @returns {void}
+ * @throws {TypeError} If the value does not match the schema
+ */
+
+/**
+ * Stores several settings with one setProperties() call, after checking all of
+ * them. Undefined values are skipped.
+ * @function Utils.ConfigStore#setAll
+ * @param {Partial<Utils.InferConfig<S>>} values - The new values
+ * @returns {void}
+ * @throws {TypeError} If any value does not match its schema
+ */
+
+/**
+ * Deletes a setting and its previous keys, so it reads as its default again.
+ * @function Utils.ConfigStore#delete
+ * @template {keyof S & string} K
+ * @param {K} key - The setting name
+ * @returns {void}
+ */
+
+/**
+ * Lists every missing or malformed setting without throwing.
+ * @function Utils.ConfigStore#validate
+ * @returns {Utils.ConfigReport} The report of every setting
+ */
+
+/**
+ * Moves settings stored under previous keys to their current key and deletes
+ * the previous keys.
+ * @function Utils.ConfigStore#migrate
+ * @returns {string[]} The names of the settings that were moved
+ */
+
+/**
+ * A request built from a URL and fetch options.
+ * @class Utils.Request
+ * @param {string | Utils.Request} input - The URL or a request to copy
+ * @param {Utils.RequestInit} [init] - Options that override those of the copied request
+ * @property {string} url
+ * @property {string} method
+ * @property {Utils.Headers} headers
+ * @property {Utils.RequestBody | null} body
+ * @property {'follow' | 'manual' | 'error'} redirect
+ */
+
+/**
+ * A response read from an UrlFetchApp HTTPResponse. Body readers return their
+ * result directly because UrlFetchApp is synchronous; await still works on them.
+ * @class Utils.Response
+ * @param {Utils.FetchTransportResponse} response - The transport response to read
+ * @param {string} [url] - The URL that was requested
+ * @property {string} url
+ * @property {number} status
+ * @property {boolean} ok
+ * @property {boolean} redirected
+ * @property {Utils.Headers} headers
+ */
+
+/**
+ * Returns the body decoded as text.
+ * @function Utils.Response#text
+ * @param {string} [charset] - Charset to decode with, read from Content-Type by default
+ * @returns {string}
+ */
+
+/**
+ * Returns the body parsed as JSON.
+ * @function Utils.Response#json
+ * @template [T=unknown]
+ * @returns {T}
+ */
+
+/**
+ * Returns the raw body bytes.
+ * @function Utils.Response#bytes
+ * @returns {number[]}
+ */
+
+/**
+ * Returns the body as an Apps Script Blob.
+ * @function Utils.Response#blob
+ * @returns {GoogleAppsScript.Base.Blob}
+ */
+
+/**
+ * Thrown by fetch for responses that are not ok when throwHttpErrors is set
+ * @class Utils.HttpError
+ * @extends Error
+ * @param {Utils.Response} response - The response that was not ok
+ * @param {string} method - The request method
+ * @property {number} status
+ * @property {string} url
+ * @property {Utils.Response} response
+ */
+
+/**
+ * Web-standard Headers with case-insensitive names. Repeated values are joined with
+ * ", " except Set-Cookie, which is kept per cookie and read with getSetCookie().
+ * @class Utils.Headers
+ * @param {Utils.HeadersInit} [init] - Headers, name/value pairs or a plain header object
+ */
+
+/**
+ * Returns the headers of an UrlFetchApp response.
+ * @function Utils.Headers.fromResponse
+ * @param {Pick<GoogleAppsScript.URL_Fetch.HTTPResponse, 'getAllHeaders'>} response - The response whose getAllHeaders() are read
+ * @returns {Utils.Headers}
+ */
+
+/**
+ * Adds a value to a header, keeping any existing values.
+ * @function Utils.Headers#append
+ * @param {string} name - The header name
+ * @param {string} value - The value to add
+ * @returns {void}
+ */
+
+/**
+ * Removes every value of a header.
+ * @function Utils.Headers#delete
+ * @param {string} name - The header name
+ * @returns {void}
+ */
+
+/**
+ * Returns the values of a header joined with ", ", or null if it is not set.
+ * @function Utils.Headers#get
+ * @param {string} name - The header name
+ * @returns {string | null}
+ */
+
+/**
+ * Returns each Set-Cookie value separately.
+ * @function Utils.Headers#getSetCookie
+ * @returns {string[]}
+ */
+
+/**
+ * Returns true if the header is set.
+ * @function Utils.Headers#has
+ * @param {string} name - The header name
+ * @returns {boolean}
+ */
+
+/**
+ * Replaces every value of a header with a single value.
+ * @function Utils.Headers#set
+ * @param {string} name - The header name
+ * @param {string} value - The new value
+ * @returns {void}
+ */
+
+/**
+ * Calls the callback for each header in sorted name order.
+ * @function Utils.Headers#forEach
+ * @param {(value: string, name: string, headers: Utils.Headers) => void} callback - Called with the value, the lowercase name and these headers
+ * @param {unknown} [thisArg] - Value to use as this when calling the callback
+ * @returns {void}
+ */
+
+/**
+ * Returns [name, value] pairs sorted by lowercase name, one per Set-Cookie value.
+ * @function Utils.Headers#entries
+ * @returns {IterableIterator<[string, string]>}
+ */
+
+/**
+ * Returns the lowercase header names in sorted order.
+ * @function Utils.Headers#keys
+ * @returns {IterableIterator<string>}
+ */
+
+/**
+ * Returns the header values in sorted name order.
+ * @function Utils.Headers#values
+ * @returns {IterableIterator<string>}
+ */
+
+/**
+ * Returns a plain header object for UrlFetchApp.fetch params. Set-Cookie is left
+ * out, since cookie dates contain commas and joined cookies cannot be split
+ * again; getSetCookie() is the only way to read them.
+ * @function Utils.Headers#toObject
+ * @returns {Record<string, string>}
+ */
+
+/**
+ * Returns the column letters of a 1-based column number, such as "AA" for 27.
+ * @function Utils.columnToLetters
+ * @param {number} column - The column number
+ * @returns {string | undefined} The column letters, or undefined if the column is not a positive integer
+ */
+
+/**
+ * Returns the 1-based column number of column letters, such as 27 for "AA".
+ * @function Utils.lettersToColumn
+ * @param {string} letters - The column letters, in any case
+ * @returns {number | undefined} The column number, or undefined if the value is not column letters
+ */
+
+/**
+ * Parses A1 notation such as "B2", "'My Sheet'!B2:D5", "B2:D", "B:D" or "2:5".
+ * Absolute markers ($) are ignored and reversed bounds are swapped.
+ * @function Utils.parseA1
+ * @param {string} notation - The A1 notation, with an optional sheet prefix
+ * @returns {Utils.A1Range | undefined} The range, or undefined if the notation is malformed
+ */
+
+/**
+ * Formats a range as A1 notation, quoting the sheet name when needed. A range
+ * without any bounds formats as the sheet prefix alone.
+ * @function Utils.formatA1
+ * @param {Utils.A1Range} range - The range to format
+ * @returns {string} The A1 notation, such as "'My Sheet'!B2:D"
+ */
+
+/**
+ * Converts A1 notation to R1C1 notation, absolute by default or relative to the
+ * base cell.
+ * @function Utils.a1ToR1C1
+ * @param {string} notation - The A1 notation, such as "Sheet1!B2:D5"
+ * @param {Utils.R1C1Base} [base] - The cell that relative references are relative to
+ * @returns {string | undefined} The R1C1 notation, or undefined if the notation is malformed
+ */
+
+/**
+ * Converts R1C1 notation, such as "R2C2:R5C4" or "R[1]C[-1]", to A1 notation.
+ * Relative references need the base cell.
+ * @function Utils.r1c1ToA1
+ * @param {string} notation - The R1C1 notation, with an optional sheet prefix
+ * @param {Utils.R1C1Base} [base] - The cell that relative references are relative to
+ * @returns {string | undefined} The A1 notation, or undefined if the notation is malformed or relative without a base
+ */
+
+/**
+ * Moves a range by a number of rows and columns, like Range.offset.
+ * @function Utils.offsetRange
+ * @param {Utils.A1Range} range - The range to move
+ * @param {number} rows - Rows to move down, negative to move up
+ * @param {number} [columns=0] - Columns to move right, negative to move left
+ * @returns {Utils.A1Range} The moved range
+ * @throws {RangeError} If the range would start before the first row or column
+ */
+
+/**
+ * Changes the number of rows and columns of a range, keeping its first cell.
+ * @function Utils.resizeRange
+ * @param {Utils.A1Range} range - The range to resize
+ * @param {number} [rows] - The new number of rows, undefined to keep the row bounds
+ * @param {number} [columns] - The new number of columns, undefined to keep the column bounds
+ * @returns {Utils.A1Range} The resized range
+ * @throws {RangeError} If a size is not a positive integer
+ */
+
+/**
+ * Returns the cells two ranges have in common.
+ * @function Utils.intersectRanges
+ * @param {Utils.A1Range} first - The first range
+ * @param {Utils.A1Range} second - The second range
+ * @returns {Utils.A1Range | undefined} The overlapping range, or undefined if the ranges do not overlap or are on different sheets
+ */
+
+/**
+ * Returns the smallest range that covers both ranges.
+ * @function Utils.unionRanges
+ * @param {Utils.A1Range} first - The first range
+ * @param {Utils.A1Range} second - The second range
+ * @returns {Utils.A1Range} The covering range
+ * @throws {RangeError} If the ranges are on different sheets
+ */
+
+/**
+ * Returns true if every cell of the inner range is in the outer range. Ranges
+ * without a sheet name match any sheet.
+ * @function Utils.rangeContains
+ * @param {Utils.A1Range} outer - The containing range
+ * @param {Utils.A1Range} inner - The range or cell to look for
+ * @returns {boolean}
+ */
+
+/**
+ * Processes items in chunks within the 6-minute execution limit. The cursor and
+ * state are saved after every chunk; when the time budget runs out, a time-based
+ * trigger calls the handler again, which resumes where the run stopped. When
+ * every item is processed the saved state is deleted. If process throws, the
+ * batch stops at the last saved chunk and resumes on the next call.
+ * @function Utils.runBatch
+ * @template T
+ * @template [S=undefined]
+ * @param {Utils.BatchOptions<T, S>} options - The items, how to process them and where to save progress
+ * @returns {Utils.BatchProgress<S>} The progress when the run paused or finished
+ * @throws {RangeError} If chunkSize is not a positive integer
+ */
+
+/**
+ * Deletes the saved progress and the continuation trigger of a batch, so the next
+ * runBatch starts from the first item.
+ * @function Utils.resetBatch
+ * @param {string} name - The name of the batch
+ * @param {Pick<Utils.BatchOptions<unknown, unknown>, 'store' | 'triggers'>} [options] - The store and trigger API the batch uses
+ * @returns {boolean} True if the batch had saved progress
+ */
+
+/**
+ * Wraps a function so results are cached by its arguments, for expensive Sheets
+ * reads and UrlFetch lookups. Results come back through JSON, so they should be
+ * plain data; undefined results are not cached. The namespace defaults to the
+ * function's name, and is required for anonymous functions.
+ * @function Utils.memoize
+ * @template {unknown[]} A
+ * @template R
+ * @param {(...args: A) => R} fn - The function to cache
+ * @param {Utils.MemoizeOptions<A>} [options] - Cache settings and the key of each call
+ * @returns {(...args: A) => R} The caching function
+ */
+
+/**
+ * Sends a request with UrlFetchApp using the web fetch API shape. HTTP error
+ * statuses are returned as responses unless throwHttpErrors is set.
+ * @function Utils.fetch
+ * @param {string | Utils.Request} input - The URL or request to send
+ * @param {Utils.RequestInit} [init] - Fetch options
+ * @returns {Utils.Response} The response
+ * @throws {Utils.HttpError} If throwHttpErrors is set and the response is not ok
+ */
+
+/**
+ * Returns the UrlFetchApp params for a request.
+ * @function Utils.toUrlFetchParams
+ * @param {Utils.Request} request - The request to convert
+ * @param {Utils.RequestInit} [init] - Fetch options with UrlFetchApp specific settings
+ * @returns {GoogleAppsScript.URL_Fetch.URLFetchRequestOptions}
+ */
+
+/**
+ * Sends a request with fetch, retrying transient failures with exponential backoff.
+ * Gives up early rather than exceed maxElapsed, so a script stays inside the
+ * 6-minute execution limit.
+ * @function Utils.fetchWithRetry
+ * @param {string | Utils.Request} input - The URL or request to send
+ * @param {Utils.RequestInit} [init] - Fetch options
+ * @param {Utils.RetryOptions} [options] - Retry settings
+ * @returns {Utils.Response} The last response
+ * @throws {Utils.HttpError} If throwHttpErrors is set and the last response is not ok
+ */
+
+/**
+ * Returns the delay a Retry-After header asks for in milliseconds, reading both
+ * delay-seconds and HTTP-date values.
+ * @function Utils.parseRetryAfter
+ * @param {string | null | undefined} value - The Retry-After header value
+ * @param {number} [now] - The current time in milliseconds, Date.now() by default
+ * @returns {number | undefined}
+ */
+
+/**
+ * Returns the MIME type for a file name or extension, such as "report.csv" or
+ * ".csv".
+ * @function Utils.getMimeType
+ * @param {string} fileName - The file name or extension to look up
+ * @returns {string | undefined}
+ */
+
+/**
+ * Returns the preferred file extension, without a dot, for a MIME type.
+ * Parameters such as charset are ignored.
+ * @function Utils.getExtension
+ * @param {string} mimeType - The MIME type or Content-Type value to look up
+ * @returns {string | undefined}
+ */
+
+/**
+ * Returns the parts of a Content-Type value, or undefined if it is malformed.
+ * @function Utils.parseContentType
+ * @param {string} value - The Content-Type value, such as "text/html; charset=UTF-8"
+ * @returns {Utils.ContentType | undefined}
+ */
+
+/**
+ * Returns a Content-Type value, quoting parameter values where needed.
+ * @function Utils.formatContentType
+ * @param {Pick<Utils.ContentType, 'essence'> & Partial<Pick<Utils.ContentType, 'parameters'>>} contentType - The essence and parameters to serialize
+ * @returns {string}
+ */
+
+/**
+ * Returns the available MIME type the Accept header prefers most. Ties go to the
+ * type listed first in available.
+ * @function Utils.negotiateMimeType
+ * @param {string | null | undefined} accept - The Accept header value; a missing header accepts anything
+ * @param {readonly string[]} available - The MIME types that can be produced, in order of preference
+ * @returns {string | undefined}
+ */
+
+/**
+ * Returns the name of the Apps Script MimeType enum member for a MIME type.
+ * @function Utils.getMimeTypeEnumName
+ * @param {string} mimeType - The MIME type to look up
+ * @returns {Utils.MimeTypeEnumName | undefined}
+ */
+
+/**
+ * Returns true if the MIME type is a native Google Workspace type such as a
+ * Google Sheets spreadsheet.
+ * @function Utils.isGoogleMimeType
+ * @param {string} mimeType - The MIME type to check
+ * @returns {boolean}
+ */
+
+/**
+ * Returns the MIME types Drive can export a Google Workspace type to, or an empty
+ * array if it cannot be exported.
+ * @function Utils.getExportMimeTypes
+ * @param {string} googleMimeType - The Google Workspace MIME type of the file
+ * @returns {string[]}
+ */
+
+/**
+ * Returns true if Drive can export the Google Workspace type to the MIME type.
+ * @function Utils.canExportAs
+ * @param {string} googleMimeType - The Google Workspace MIME type of the file
+ * @param {string} mimeType - The MIME type to export to
+ * @returns {boolean}
+ */
+
+/**
+ * Returns a schema that accepts strings, converting numbers, booleans and Dates
+ * with toText.
+ * @function Utils.stringSchema
+ * @returns {Utils.Schema<string>} A schema producing strings
+ */
+
+/**
+ * Returns a schema that accepts finite numbers, converting strings and booleans
+ * with toNumber.
+ * @function Utils.numberSchema
+ * @returns {Utils.Schema<number>} A schema producing finite numbers
+ */
+
+/**
+ * Returns a schema that accepts whole numbers, converting strings with toNumber.
+ * Fractional values are rejected rather than truncated.
+ * @function Utils.integerSchema
+ * @returns {Utils.Schema<number>} A schema producing integers
+ */
+
+/**
+ * Returns a schema that accepts booleans, converting checkbox and form values
+ * with toBoolean.
+ * @function Utils.booleanSchema
+ * @returns {Utils.Schema<boolean>} A schema producing booleans
+ */
+
+/**
+ * Returns a schema that accepts valid Dates, converting strings and numbers with
+ * toDate.
+ * @function Utils.dateSchema
+ * @param {Utils.DateOptions} [options] - Serial, input format and time zone rules passed to toDate
+ * @returns {Utils.Schema<Date>} A schema producing valid Dates
+ */
+
+/**
+ * Returns a schema that accepts exactly the given value.
+ * @function Utils.literalSchema
+ * @template {string | number | boolean | null} T
+ * @param {T} literal - The only accepted value
+ * @returns {Utils.Schema<T>} A schema producing the literal value
+ */
+
+/**
+ * Returns a schema that accepts arrays whose items all pass the item schema.
+ * Strings are split on commas with toArray first.
+ * @function Utils.arraySchema
+ * @template T
+ * @param {Utils.Schema<T>} item - The schema every item must pass
+ * @returns {Utils.Schema<T[]>} A schema producing arrays of the item type
+ */
+
+/**
+ * Returns a schema that accepts objects matching the shape. JSON strings are
+ * parsed with toJson first, and keys that are not in the shape are dropped.
+ * @function Utils.objectSchema
+ * @template {Record<string, Utils.Schema<unknown>>} S
+ * @param {S} shape - The schema for each key
+ * @returns {Utils.Schema<Utils.InferShape<S>>} A schema producing objects of the shape type
+ */
+
+/**
+ * Returns a schema that accepts the first matching member schema. Order matters
+ * because members coerce: list stricter schemas first.
+ * @function Utils.unionSchema
+ * @template {readonly Utils.Schema<unknown>[]} S
+ * @param {S} schemas - The member schemas, tried in order
+ * @returns {Utils.Schema<Utils.InferSchema<S[number]>>} A schema producing any member type
+ */
+
+/**
+ * Returns a schema that also accepts null, undefined and blank strings, which
+ * become the default value.
+ * @function Utils.optionalSchema
+ * @template T
+ * @template {T | undefined} [D=undefined]
+ * @param {Utils.Schema<T>} schema - The schema for present values
+ * @param {D} [defaultValue] - Value to use when the input is missing
+ * @returns {Utils.Schema<T | D>} A schema producing the value or the default value
+ */
+
+/**
+ * Returns a schema that runs a custom check after the schema accepts a value.
+ * @function Utils.refineSchema
+ * @template T
+ * @param {Utils.Schema<T>} schema - The schema to refine
+ * @param {(value: T) => boolean} predicate - Returns true if the coerced value is acceptable
+ * @param {string} [message] - Error message used when the predicate fails
+ * @returns {Utils.Schema<T>} A schema producing the refined value
+ */
+
+/**
+ * Validates and coerces a value in one pass, collecting every error.
+ * @function Utils.validateSchema
+ * @template T
+ * @param {Utils.Schema<T>} schema - The schema to validate against
+ * @param {unknown} value - The value to validate
+ * @returns {Utils.SchemaResult<T>} The coerced value, or every error with its path
+ */
+
+/**
+ * Validates and coerces a value, throwing if any error is found.
+ * @function Utils.validateSchemaStrict
+ * @template T
+ * @param {Utils.Schema<T>} schema - The schema to validate against
+ * @param {unknown} value - The value to validate
+ * @returns {T} The coerced value
+ * @throws {TypeError} If the value does not match the schema
+ */
+
+/**
+ * Reads a values grid such as Range.getValues() into typed records. The header
+ * row maps columns to fields, so column order does not matter and unknown or
+ * blank headers (as merged header cells read) are ignored. Trailing blank rows are
+ * dropped, and errors are collected instead of thrown.
+ * @function Utils.readTable
+ * @template {Utils.TableColumns} C
+ * @param {readonly (readonly unknown[])[]} values - The values grid, header row included
+ * @param {C} columns - The field of each column
+ * @param {Utils.TableOptions} [options={}] - Position of the values and blank row handling
+ * @returns {Utils.TableResult<Utils.InferTable<C>>} The records with the sheet row and every error of each cell
+ */
+
+/**
+ * Writes records into a rectangular values grid for Range.setValues(). Columns
+ * follow the headers, which default to the column headers in definition order;
+ * headers without a field are left blank. Dates are kept, missing values become
+ * blank, arrays are joined with commas and objects become JSON.
+ * @function Utils.writeTable
+ * @template {Utils.TableColumns} C
+ * @param {readonly Partial<Utils.InferTable<C>>[]} records - The records to write
+ * @param {C} columns - The field of each column
+ * @param {readonly unknown[]} [headers=Object.keys(columns).map( (key) => columns[key].header ?? key, )] - The sheet's header row, such as TableResult.headers
+ * @returns {unknown[][]} One row of values per record, without the header row
+ */
+
+/**
+ * Returns a Date from the specified argument. Without options, strings and numbers
+ * are passed to the Date constructor. With options, numbers can be read as
+ * spreadsheet serials and strings as wall-clock values in the given patterns and
+ * time zone.
  * @function Utils.toDate
  * @param {Utils.DateValue} value - The value to convert to Date
- * @param {Date} [defaultValue=null] - Default Date to return if conversion fails
- * @returns {Date | null} The converted Date or null if the value is invalid
+ * @param {Date} [defaultValue] - Default Date to return if conversion fails
+ * @param {Utils.DateOptions} [options] - Serial, input format and time zone rules
+ * @returns {Date | undefined}
  */
 
 /**
  * Returns a Date from the specified argument, throwing if conversion fails.
  * @function Utils.toDateStrict
  * @param {Utils.DateValue} value - The value to convert to Date
- * @param {Date} [defaultValue=null] - Default Date to return if conversion fails
- * @returns {Date} The converted Date
+ * @param {Date} [defaultValue] - Default Date to return if conversion fails
+ * @param {Utils.DateOptions} [options] - Serial, input format and time zone rules
+ * @returns {Date}
+ * @throws {TypeError} If the value cannot be converted
+ */
+
+/**
+ * Returns a finite number from the specified argument. Strings may contain
+ * thousands separators ("1,234.5") or a trailing percent sign ("45%").
+ * @function Utils.toNumber
+ * @param {Utils.NumberValue} value - The value to convert to a number
+ * @param {number} [defaultValue] - Default number to return if conversion fails
+ * @returns {number | undefined}
+ */
+
+/**
+ * Returns a finite number from the specified argument, throwing if conversion fails.
+ * @function Utils.toNumberStrict
+ * @param {Utils.NumberValue} value - The value to convert to a number
+ * @param {number} [defaultValue] - Default number to return if conversion fails
+ * @returns {number}
+ * @throws {TypeError} If the value cannot be converted
+ */
+
+/**
+ * Returns a safe integer from the specified argument. Fractional values are
+ * truncated toward zero.
+ * @function Utils.toInteger
+ * @param {Utils.IntegerValue} value - The value to convert to an integer
+ * @param {number} [defaultValue] - Default integer to return if conversion fails
+ * @returns {number | undefined}
+ */
+
+/**
+ * Returns a safe integer from the specified argument, throwing if conversion fails.
+ * @function Utils.toIntegerStrict
+ * @param {Utils.IntegerValue} value - The value to convert to an integer
+ * @param {number} [defaultValue] - Default integer to return if conversion fails
+ * @returns {number}
+ * @throws {TypeError} If the value cannot be converted
+ */
+
+/**
+ * Returns a boolean from the specified argument. Recognizes checkbox values and
+ * common form answers such as "TRUE", "yes", "on" and 1, ignoring case.
+ * @function Utils.toBoolean
+ * @param {Utils.BooleanValue} value - The value to convert to a boolean
+ * @param {boolean} [defaultValue] - Default boolean to return if conversion fails
+ * @returns {boolean | undefined}
+ */
+
+/**
+ * Returns a boolean from the specified argument, throwing if conversion fails.
+ * @function Utils.toBooleanStrict
+ * @param {Utils.BooleanValue} value - The value to convert to a boolean
+ * @param {boolean} [defaultValue] - Default boolean to return if conversion fails
+ * @returns {boolean}
+ * @throws {TypeError} If the value cannot be converted
+ */
+
+/**
+ * Returns a string from the specified argument. Dates are formatted as ISO 8601.
+ * Named toText so the GAS global scope's toString is not shadowed.
+ * @function Utils.toText
+ * @param {Utils.TextValue} value - The value to convert to a string
+ * @param {string} [defaultValue] - Default string to return if conversion fails
+ * @returns {string | undefined}
+ */
+
+/**
+ * Returns a string from the specified argument, throwing if conversion fails.
+ * @function Utils.toTextStrict
+ * @param {Utils.TextValue} value - The value to convert to a string
+ * @param {string} [defaultValue] - Default string to return if conversion fails
+ * @returns {string}
+ * @throws {TypeError} If the value cannot be converted
+ */
+
+/**
+ * Returns an array from the specified argument. Strings are split on commas
+ * with blank items removed, arrays are copied and any other value is wrapped.
+ * @function Utils.toArray
+ * @template [T=string]
+ * @param {readonly T[] | T | null | undefined} value - The value to convert to an array
+ * @param {T[]} [defaultValue] - Default array to return if conversion fails
+ * @returns {T[] | undefined}
+ */
+
+/**
+ * Returns an array from the specified argument. Strings are split on commas
+ * with blank items removed and each item converted, such as with toNumber;
+ * arrays are copied and any other value is wrapped.
+ * @function Utils.toArray
+ * @template T
+ * @param {Utils.ArrayValue<T>} value - The value to convert to an array
+ * @param {T[] | undefined} defaultValue - Default array to return if conversion fails
+ * @param {(item: string) => T | undefined} convertItem - Converts each item of a string, returning undefined to fail
+ * @returns {T[] | undefined}
+ */
+
+/**
+ * Returns an array from the specified argument, throwing if conversion fails.
+ * @function Utils.toArrayStrict
+ * @template [T=string]
+ * @param {readonly T[] | T | null | undefined} value - The value to convert to an array
+ * @param {T[]} [defaultValue] - Default array to return if conversion fails
+ * @returns {T[]}
+ * @throws {TypeError} If the value cannot be converted
+ */
+
+/**
+ * Returns an array from the specified argument with each item of a string
+ * converted, such as with toNumber, throwing if conversion fails.
+ * @function Utils.toArrayStrict
+ * @template T
+ * @param {Utils.ArrayValue<T>} value - The value to convert to an array
+ * @param {T[] | undefined} defaultValue - Default array to return if conversion fails
+ * @param {(item: string) => T | undefined} convertItem - Converts each item of a string, returning undefined to fail
+ * @returns {T[]}
+ * @throws {TypeError} If the value cannot be converted
+ */
+
+/**
+ * Returns a parsed JSON value from the specified argument. Strings are parsed
+ * with JSON.parse and any other non-null value is returned as is.
+ * @function Utils.toJson
+ * @template [T=unknown]
+ * @param {Utils.JsonValue} value - The value to convert to a parsed JSON value
+ * @param {T} [defaultValue] - Default value to return if conversion fails
+ * @returns {T | undefined}
+ */
+
+/**
+ * Returns a parsed JSON value from the specified argument, throwing if conversion
+ * fails.
+ * @function Utils.toJsonStrict
+ * @template [T=unknown]
+ * @param {Utils.JsonValue} value - The value to convert to a parsed JSON value
+ * @param {T} [defaultValue] - Default value to return if conversion fails
+ * @returns {T}
+ * @throws {TypeError} If the value cannot be converted
  */
 
 /**
  * Returns true if the value is a valid Date object
  * @function Utils.isDate
- * @param {unknown} value - The value to convert to Date
- * @returns {boolean} True if the value is a valid Date object
+ * @param {unknown} value - The value to check
+ * @returns {value is Date} True if value is Date
+ */
+
+/**
+ * Returns true if the value is a string
+ * @function Utils.isString
+ * @param {unknown} value - The value to check
+ * @returns {value is string} True if value is string
+ */
+
+/**
+ * Returns true if the value is a finite number
+ * @function Utils.isNumber
+ * @param {unknown} value - The value to check
+ * @returns {value is number} True if value is number
+ */
+
+/**
+ * Returns true if the value is an integer number
+ * @function Utils.isInteger
+ * @param {unknown} value - The value to check
+ * @returns {value is number} True if value is number
+ */
+
+/**
+ * Returns true if the value is a boolean
+ * @function Utils.isBoolean
+ * @param {unknown} value - The value to check
+ * @returns {value is boolean} True if value is boolean
+ */
+
+/**
+ * Returns true if the value is an object created by an object literal,
+ * Object.create(null) or JSON.parse
+ * @function Utils.isPlainObject
+ * @param {unknown} value - The value to check
+ * @returns {value is Record<string, unknown>} True if value is Record<string, unknown>
+ */
+
+/**
+ * Returns true if the value is an array whose items all pass the guard
+ * @function Utils.isArrayOf
+ * @template T
+ * @param {unknown} value - The value to check
+ * @param {(item: unknown) => item is T} guard - The type guard each item must pass
+ * @returns {value is T[]} True if value is T[]
+ */
+
+/**
+ * Returns true if the value is a string with at least one non-whitespace character
+ * @function Utils.isNonEmptyString
+ * @param {unknown} value - The value to check
+ * @returns {value is string} True if value is string
+ */
+
+/**
+ * Returns true if the value is a string shaped like an email address
+ * @function Utils.isEmail
+ * @param {unknown} value - The value to check
+ * @returns {value is string} True if value is string
+ */
+
+/**
+ * Returns true if the value is a string holding an absolute http or https URL
+ * @function Utils.isUrl
+ * @param {unknown} value - The value to check
+ * @returns {value is string} True if value is string
+ */
+
+/**
+ * Returns true if the value is null or undefined
+ * @function Utils.isNullish
+ * @param {unknown} value - The value to check
+ * @returns {value is null | undefined} True if value is null | undefined
+ */
+
+/**
+ * Returns true if the value has a callable then method
+ * @function Utils.isPromiseLike
+ * @param {unknown} value - The value to check
+ * @returns {value is PromiseLike<unknown>} True if value is PromiseLike<unknown>
  */
 
 /**
  * @typedef {Object} Utils
- * @property {function} toDate
- * @property {function} toDateStrict
- * @property {function} isDate
+ * @property {Object} MIME_TYPES
+ * @property {Readonly<Record<Utils.MimeTypeEnumName, string>>} MIME_TYPE_ENUM
+ * @property {new (options?: Utils.CacheOptions) => Utils.TypedCache} TypedCache
+ * @property {new (settings: S, options?: Utils.ConfigOptions) => Utils.ConfigStore} ConfigStore
+ * @property {new (input: string | Utils.Request, init?: Utils.RequestInit) => Utils.Request} Request
+ * @property {new (response: Utils.FetchTransportResponse, url?: string) => Utils.Response} Response
+ * @property {new (response: Utils.Response, method: string) => Utils.HttpError} HttpError
+ * @property {new (init?: Utils.HeadersInit) => Utils.Headers} Headers
+ * @property {(column: number) => string | undefined} columnToLetters
+ * @property {(letters: string) => number | undefined} lettersToColumn
+ * @property {(notation: string) => Utils.A1Range | undefined} parseA1
+ * @property {(range: Utils.A1Range) => string} formatA1
+ * @property {(notation: string, base?: Utils.R1C1Base) => string | undefined} a1ToR1C1
+ * @property {(notation: string, base?: Utils.R1C1Base) => string | undefined} r1c1ToA1
+ * @property {(range: Utils.A1Range, rows: number, columns?: number) => Utils.A1Range} offsetRange
+ * @property {(range: Utils.A1Range, rows?: number, columns?: number) => Utils.A1Range} resizeRange
+ * @property {(first: Utils.A1Range, second: Utils.A1Range) => Utils.A1Range | undefined} intersectRanges
+ * @property {(first: Utils.A1Range, second: Utils.A1Range) => Utils.A1Range} unionRanges
+ * @property {(outer: Utils.A1Range, inner: Utils.A1Range) => boolean} rangeContains
+ * @property {<T, S = undefined>(options: Utils.BatchOptions<T, S>) => Utils.BatchProgress<S>} runBatch
+ * @property {(name: string, options?: Pick<Utils.BatchOptions<unknown, unknown>, 'store' | 'triggers'>) => boolean} resetBatch
+ * @property {<A extends unknown[], R>(fn: (...args: A) => R, options?: Utils.MemoizeOptions<A>) => (...args: A) => R} memoize
+ * @property {(input: string | Utils.Request, init?: Utils.RequestInit) => Utils.Response} fetch
+ * @property {(request: Utils.Request, init?: Utils.RequestInit) => GoogleAppsScript.URL_Fetch.URLFetchRequestOptions} toUrlFetchParams
+ * @property {(input: string | Utils.Request, init?: Utils.RequestInit, options?: Utils.RetryOptions) => Utils.Response} fetchWithRetry
+ * @property {(value: string | null | undefined, now?: number) => number | undefined} parseRetryAfter
+ * @property {(fileName: string) => string | undefined} getMimeType
+ * @property {(mimeType: string) => string | undefined} getExtension
+ * @property {(value: string) => Utils.ContentType | undefined} parseContentType
+ * @property {(contentType: Pick<Utils.ContentType, 'essence'> & Partial<Pick<Utils.ContentType, 'parameters'>>) => string} formatContentType
+ * @property {(accept: string | null | undefined, available: readonly string[]) => string | undefined} negotiateMimeType
+ * @property {(mimeType: string) => Utils.MimeTypeEnumName | undefined} getMimeTypeEnumName
+ * @property {(mimeType: string) => boolean} isGoogleMimeType
+ * @property {(googleMimeType: string) => string[]} getExportMimeTypes
+ * @property {(googleMimeType: string, mimeType: string) => boolean} canExportAs
+ * @property {() => Utils.Schema<string>} stringSchema
+ * @property {() => Utils.Schema<number>} numberSchema
+ * @property {() => Utils.Schema<number>} integerSchema
+ * @property {() => Utils.Schema<boolean>} booleanSchema
+ * @property {(options?: Utils.DateOptions) => Utils.Schema<Date>} dateSchema
+ * @property {<T extends string | number | boolean | null>(literal: T) => Utils.Schema<T>} literalSchema
+ * @property {<T>(item: Utils.Schema<T>) => Utils.Schema<T[]>} arraySchema
+ * @property {<S extends Record<string, Utils.Schema<unknown>>>(shape: S) => Utils.Schema<Utils.InferShape<S>>} objectSchema
+ * @property {<S extends readonly Utils.Schema<unknown>[]>(schemas: S) => Utils.Schema<Utils.InferSchema<S[number]>>} unionSchema
+ * @property {<T, D extends T | undefined = undefined>(schema: Utils.Schema<T>, defaultValue?: D) => Utils.Schema<T | D>} optionalSchema
+ * @property {<T>(schema: Utils.Schema<T>, predicate: (value: T) => boolean, message?: string) => Utils.Schema<T>} refineSchema
+ * @property {<T>(schema: Utils.Schema<T>, value: unknown) => Utils.SchemaResult<T>} validateSchema
+ * @property {<T>(schema: Utils.Schema<T>, value: unknown) => T} validateSchemaStrict
+ * @property {<C extends Utils.TableColumns>(values: readonly (readonly unknown[])[], columns: C, options?: Utils.TableOptions) => Utils.TableResult<Utils.InferTable<C>>} readTable
+ * @property {<C extends Utils.TableColumns>(records: readonly Partial<Utils.InferTable<C>>[], columns: C, headers?: readonly unknown[]) => unknown[][]} writeTable
+ * @property {(value: Utils.DateValue, defaultValue?: Date, options?: Utils.DateOptions) => Date | undefined} toDate
+ * @property {(value: Utils.DateValue, defaultValue?: Date, options?: Utils.DateOptions) => Date} toDateStrict
+ * @property {(value: Utils.NumberValue, defaultValue?: number) => number | undefined} toNumber
+ * @property {(value: Utils.NumberValue, defaultValue?: number) => number} toNumberStrict
+ * @property {(value: Utils.IntegerValue, defaultValue?: number) => number | undefined} toInteger
+ * @property {(value: Utils.IntegerValue, defaultValue?: number) => number} toIntegerStrict
+ * @property {(value: Utils.BooleanValue, defaultValue?: boolean) => boolean | undefined} toBoolean
+ * @property {(value: Utils.BooleanValue, defaultValue?: boolean) => boolean} toBooleanStrict
+ * @property {(value: Utils.TextValue, defaultValue?: string) => string | undefined} toText
+ * @property {(value: Utils.TextValue, defaultValue?: string) => string} toTextStrict
+ * @property {<T = string>(value: readonly T[] | T | null | undefined, defaultValue?: T[]) => T[] | undefined) & (<T>(value: Utils.ArrayValue<T>, defaultValue: T[] | undefined, convertItem: (item: string) => T | undefined) => T[] | undefined} toArray
+ * @property {<T = string>(value: readonly T[] | T | null | undefined, defaultValue?: T[]) => T[]) & (<T>(value: Utils.ArrayValue<T>, defaultValue: T[] | undefined, convertItem: (item: string) => T | undefined) => T[]} toArrayStrict
+ * @property {<T = unknown>(value: Utils.JsonValue, defaultValue?: T) => T | undefined} toJson
+ * @property {<T = unknown>(value: Utils.JsonValue, defaultValue?: T) => T} toJsonStrict
+ * @property {(value: unknown) => value is Date} isDate
+ * @property {(value: unknown) => value is string} isString
+ * @property {(value: unknown) => value is number} isNumber
+ * @property {(value: unknown) => value is number} isInteger
+ * @property {(value: unknown) => value is boolean} isBoolean
+ * @property {(value: unknown) => value is Record<string, unknown>} isPlainObject
+ * @property {<T>(value: unknown, guard: (item: unknown) => item is T) => value is T[]} isArrayOf
+ * @property {(value: unknown) => value is string} isNonEmptyString
+ * @property {(value: unknown) => value is string} isEmail
+ * @property {(value: unknown) => value is string} isUrl
+ * @property {(value: unknown) => value is null | undefined} isNullish
+ * @property {(value: unknown) => value is PromiseLike<unknown>} isPromiseLike
  */
 
 /**
@@ -1,12 +1,20 @@
 #!/usr/bin/env node
 
 import { mkdir, rm, writeFile } from 'node:fs/promises'
-import { basename, join } from 'node:path'
-import { Project } from 'ts-morph'
+import { basename, join, relative } from 'node:path'
+import { ModuleKind, Node, Project, ScriptTarget } from 'ts-morph'
+import { remapSourceMap } from './source-map.js'
 
 async function buildGAS() {
   const project = new Project({
     tsConfigFilePath: './tsconfig.json',
+    compilerOptions: {
+      target: ScriptTarget.ES2019,
+      module: ModuleKind.None,
+      declaration: false,
+      declarationMap: false,
+      sourceMap: true,
+    },
   })
 
   const sourceFiles = project.getSourceFiles('./app/**/*.ts')
@@ -16,12 +24,35 @@ async function buildGAS() {
   await rm(outputDir, { recursive: true, force: true })
   await mkdir(outputDir, { recursive: true })
 
-  // Process each TypeScript file
-  for (const sourceFile of sourceFiles) {
-    const fileName = basename(sourceFile.getFilePath(), '.ts')
-    const jsContent = convertTSToJS(sourceFile)
+  // Read each module's binding and public surface before any file is rewritten
+  const modules = sourceFiles.map((sourceFile) => ({
+    sourceFile,
+    bindingName: getModuleBindingName(sourceFile),
+    exports: getRuntimeExports(sourceFile),
+    lineCount: sourceFile.getEndLineNumber(),
+  }))
+  assertNoCollisions(modules)
 
-    await writeFile(join(outputDir, `${fileName}.js`), jsContent)
+  // Rewrite every module as a global-scope script before emitting any of them
+  for (const module of modules) {
+    flattenToGlobalScope(module.sourceFile)
+    wrapModule(module)
+  }
+
+  // Emit each file as ES2019 JavaScript with a source map back to app/
+  for (const module of modules) {
+    const filePath = module.sourceFile.getFilePath()
+    const fileName = basename(filePath, '.ts')
+    const mapPath = join(outputDir, `${fileName}.js.map`)
+    const { text, map } = emitJavaScript(project, module.sourceFile)
+
+    // Lines past the original text belong to the generated exposures
+    const sourceMap = remapSourceMap(map, mapPath, (_source, line, column) =>
+      line < module.lineCount ? [filePath, line, column] : undefined,
+    )
+
+    await writeFile(join(outputDir, `${fileName}.js`), text)
+    await writeFile(mapPath, JSON.stringify(sourceMap))
   }
 
   // Copy appsscript.json if it exists
@@ -37,36 +68,209 @@ async function buildGAS() {
   console.log(`Generated Google Apps Script files in ${outputDir}`)
 }
 
-function convertTSToJS(sourceFile) {
-  let content = sourceFile.getFullText()
+/**
+ * Removes imports and exports so the file becomes a plain script. GAS loads every
+ * file into one global scope, so imported names resolve to the declarations of the
+ * other files without any module system.
+ */
+function flattenToGlobalScope(sourceFile) {
+  const filePath = sourceFile.getFilePath()
 
-  // Remove type aliases (export type ...)
-  content = content.replace(/^export\s+type\s+[^\n]+$/gm, '')
+  for (const importDeclaration of sourceFile.getImportDeclarations()) {
+    if (
+      importDeclaration.getNamespaceImport() ||
+      importDeclaration.getDefaultImport()
+    ) {
+      throw new Error(
+        `${filePath}: only named imports can be flattened into GAS global scope`,
+      )
+    }
+    for (const namedImport of importDeclaration.getNamedImports()) {
+      if (namedImport.getAliasNode()) {
+        throw new Error(
+          `${filePath}: renamed import "${namedImport.getText()}" cannot be flattened into GAS global scope`,
+        )
+      }
+    }
+  }
 
-  // Remove interface declarations
-  content = content.replace(/^export\s+interface\s+[^}]+}\s*$/gm, '')
+  // Blank out imports and export lists instead of removing their lines, so line
+  // numbers still match the source for source maps
+  const removals = [
+    ...sourceFile.getImportDeclarations(),
+    ...sourceFile.getExportDeclarations(),
+  ].sort((a, b) => b.getStart() - a.getStart())
+  sourceFile.replaceWithText(
+    removals.reduce(
+      (text, node) =>
+        text.slice(0, node.getStart()) +
+        '\n'.repeat(node.getEndLineNumber() - node.getStartLineNumber()) +
+        text.slice(node.getEnd()),
+      sourceFile.getFullText(),
+    ),
+  )
 
-  // Remove import statements for types only
-  content = content.replace(/^import\s+type\s+[^\n]+$/gm, '')
+  if (sourceFile.getExportAssignments().length > 0) {
+    throw new Error(
+      `${filePath}: default exports are not supported in GAS global scope`,
+    )
+  }
 
-  // Remove export keywords from functions and variables (for GAS compatibility)
-  content = content.replace(/^export\s+/gm, '')
+  for (const statement of sourceFile.getStatements()) {
+    if (Node.isExportable(statement) && statement.isExported()) {
+      if (statement.isDefaultExport()) {
+        throw new Error(
+          `${filePath}: default exports are not supported in GAS global scope`,
+        )
+      }
+      statement.setIsExported(false)
+    }
+  }
+}
 
-  // Remove parameter type annotations and optional markers
-  content = content.replace(/(\w+)\?:\s*[A-Za-z[\]|<>\s{},'"]+/g, '$1')
-  content = content.replace(/(\w+):\s*[A-Za-z[\]|<>\s{},'"]+/g, '$1')
+/**
+ * Returns the global that holds a module's exports, such as typeCast_ for
+ * type-cast.ts. The trailing underscore follows the GAS convention for private names.
+ */
+function getModuleBindingName(sourceFile) {
+  const fileName = basename(sourceFile.getFilePath(), '.ts')
+  const camelCase = fileName.replace(/[^A-Za-z0-9]+([A-Za-z0-9])/g, (_match, letter) =>
+    letter.toUpperCase(),
+  )
+  return `${/^[0-9]/.test(camelCase) ? '_' : ''}${camelCase}_`
+}
+
+/**
+ * Returns the runtime values a module exports, with what is needed to expose each
+ * one as a library global: the JSDoc and parameters of functions.
+ */
+function getRuntimeExports(sourceFile) {
+  const exports = []
 
-  // Remove function return type annotations
-  content = content.replace(/\):\s*[A-Za-z[\]|<>\s{},'"]+\s+{/g, ') {')
+  for (const [name, declarations] of sourceFile.getExportedDeclarations()) {
+    const declaration = declarations[0]
+    // Re-exports are exposed by the module that declares them
+    if (declaration.getSourceFile() !== sourceFile) continue
+
+    if (Node.isFunctionDeclaration(declaration)) {
+      // The forwarder takes the parameters of the implementation, so it keeps the
+      // JSDoc of the overload that documents the most of them
+      const implementation = declaration.getImplementation() ?? declaration
+      const documented = implementation
+        .getOverloads()
+        .reduce(
+          (widest, overload) =>
+            overload.getParameters().length > widest.getParameters().length
+              ? overload
+              : widest,
+          implementation.getOverloads()[0] ?? implementation,
+        )
+      exports.push({
+        name,
+        kind: 'function',
+        jsDoc: documented.getJsDocs().map((jsDoc) => jsDoc.getText()),
+        parameters: getForwardedParameters(implementation),
+      })
+    } else if (
+      Node.isVariableDeclaration(declaration) ||
+      Node.isClassDeclaration(declaration) ||
+      (Node.isEnumDeclaration(declaration) && !declaration.isConstEnum())
+    ) {
+      exports.push({ name, kind: 'value' })
+    }
+  }
 
-  // Remove 'as' type assertions
-  content = content.replace(/\s+as\s+[A-Za-z[\]|<>\s]+/g, '')
+  return exports
+}
+
+function getForwardedParameters(declaration) {
+  return declaration
+    .getParameters()
+    .filter((parameter) => !parameter.isRestParameter())
+    .map((parameter, index) => {
+      const nameNode = parameter.getNameNode()
+      return Node.isIdentifier(nameNode) ? nameNode.getText() : `arg${index}`
+    })
+}
 
-  // Remove empty lines that were left by removed type declarations
-  content = content.replace(/^\s*\n/gm, '\n')
+/**
+ * Throws if two modules put the same name in the global scope. GAS loads every file
+ * into one global scope, where duplicates silently overwrite each other. Only the
+ * module bindings and the exposed exports are global; private helpers live inside
+ * each module's closure and cannot collide.
+ */
+function assertNoCollisions(modules) {
+  const owners = new Map()
+
+  for (const module of modules) {
+    const filePath = relative(process.cwd(), module.sourceFile.getFilePath())
+    const names = [module.bindingName, ...module.exports.map(({ name }) => name)]
+    for (const name of names) {
+      const files = owners.get(name) ?? []
+      files.push(filePath)
+      owners.set(name, files)
+    }
+  }
+
+  const collisions = [...owners].filter(([, files]) => files.length > 1)
+  if (collisions.length > 0) {
+    const details = collisions
+      .map(([name, files]) => `  ${name}: ${files.join(', ')}`)
+      .join('\n')
+    throw new Error(`Duplicate global identifiers in GAS global scope:\n${details}`)
+  }
+}
+
+/**
+ * Wraps a module in a closure so its private helpers stay out of the global scope.
+ * Exported functions are exposed as top-level function declarations that forward to
+ * the closure, which keeps their JSDoc for library autocomplete; other exported
+ * values are exposed with var, since GAS only shares var and function declarations
+ * with library consumers. The closure binding is a const, which is not shared.
+ */
+function wrapModule(module) {
+  const { sourceFile, bindingName, exports } = module
+  if (sourceFile.getStatements().length === 0) return
+
+  const exportList = exports.map(({ name }) => name).join(', ')
+  const exposures = exports.map((symbol) => {
+    if (symbol.kind === 'value')
+      return `var ${symbol.name} = ${bindingName}.${symbol.name}`
+
+    const parameters = symbol.parameters.join(', ')
+    return [
+      ...symbol.jsDoc,
+      `function ${symbol.name}(${parameters}) {`,
+      `  return ${bindingName}.${symbol.name}.apply(this, arguments)`,
+      '}',
+    ].join('\n')
+  })
+
+  // The closure opens on the first source line to keep line numbers unchanged
+  sourceFile.replaceWithText(
+    [
+      `const ${bindingName} = (function () {${sourceFile.getFullText()}`,
+      `return { ${exportList} }`,
+      '})()',
+      '',
+      ...exposures,
+    ].join('\n'),
+  )
+}
+
+function emitJavaScript(project, sourceFile) {
+  const files = project.emitToMemory({ targetSourceFile: sourceFile }).getFiles()
+  const output = files.find((file) => file.filePath.endsWith('.js'))
+  const map = files.find((file) => file.filePath.endsWith('.js.map'))
+
+  if (!output || !map) {
+    throw new Error(`TypeScript emitted no JavaScript for ${sourceFile.getFilePath()}`)
+  }
 
-  // Remove leading/trailing whitespace but preserve internal structure
-  return content.trim()
+  return { text: output.text, map: JSON.parse(map.text) }
 }
 
-buildGAS().catch(console.error)
+buildGAS().catch((error) => {
+  console.error(error)
+  process.exitCode = 1
+})
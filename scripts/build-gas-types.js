@@ -2,7 +2,7 @@
 
 import { mkdir, rm, writeFile } from 'node:fs/promises'
 import { join } from 'node:path'
-import { Project } from 'ts-morph'
+import { Node, Project, Scope, SyntaxKind } from 'ts-morph'
 
 async function buildJSDoc() {
   const project = new Project({
@@ -16,17 +16,16 @@ async function buildJSDoc() {
   await rm(outputDir, { recursive: true, force: true })
   await mkdir(outputDir, { recursive: true })
 
-  // Collect all exports from all source files
-  const allTypes = []
-  const allFunctions = []
-
-  for (const sourceFile of sourceFiles) {
-    const { types, functions } = extractExportsFromFile(sourceFile)
-    allTypes.push(...types)
-    allFunctions.push(...functions)
+  const context = {
+    sourceFiles: new Set(sourceFiles),
+    typeNames: new Set(sourceFiles.flatMap(getExportedTypeNames)),
   }
 
-  const outputContent = generateJSDocFromExports(allTypes, allFunctions)
+  const declarations = sourceFiles.flatMap((sourceFile) =>
+    extractExportsFromFile(sourceFile, context),
+  )
+
+  const outputContent = generateJSDocFromExports(declarations)
 
   await writeFile(join(outputDir, 'types.js'), outputContent)
 
@@ -38,36 +37,55 @@ async function buildJSDoc() {
   console.log(`Generated JSDoc types reference in ./docs/gas-types.js`)
 }
 
-function extractExportsFromFile(sourceFile) {
-  const types = []
-  const functions = []
+// Declarations are emitted grouped in this order, keeping source order within each
+const DECLARATION_ORDER = ['type', 'constant', 'class', 'function']
+
+function getExportedTypeNames(sourceFile) {
+  return [
+    ...sourceFile.getTypeAliases(),
+    ...sourceFile.getInterfaces(),
+    ...sourceFile.getEnums(),
+    ...sourceFile.getClasses(),
+  ]
+    .filter((declaration) => declaration.isExported())
+    .map((declaration) => declaration.getName())
+}
 
-  // Process type aliases
-  const typeAliases = sourceFile.getTypeAliases().filter((t) => t.isExported())
-  for (const typeAlias of typeAliases) {
-    types.push({
-      name: typeAlias.getName(),
-      definition: typeAlias.getTypeNode()?.getText() || 'any',
-      comment: extractJSDocComment(typeAlias),
-    })
-  }
+/**
+ * Returns the documented declarations of a file. Each has the JSDoc blocks to emit
+ * and, for runtime values, the type of its property on the Utils namespace.
+ */
+function extractExportsFromFile(sourceFile, context) {
+  const declarations = []
 
-  // Process exported functions
-  const exportedFunctions = sourceFile.getFunctions().filter((f) => f.isExported())
-  for (const func of exportedFunctions) {
-    functions.push({
-      name: func.getName(),
-      parameters: func.getParameters(),
-      returnType: func.getReturnTypeNode()?.getText() || 'any',
-      comment: extractJSDocComment(func),
-      funcNode: func,
-    })
+  for (const typeAlias of sourceFile.getTypeAliases()) {
+    if (typeAlias.isExported()) declarations.push(documentTypeAlias(typeAlias, context))
+  }
+  for (const declaration of sourceFile.getInterfaces()) {
+    if (declaration.isExported())
+      declarations.push(documentInterface(declaration, context))
+  }
+  for (const declaration of sourceFile.getEnums()) {
+    if (declaration.isExported()) declarations.push(documentEnum(declaration))
+  }
+  for (const statement of sourceFile.getVariableStatements()) {
+    if (!statement.isExported()) continue
+    for (const declaration of statement.getDeclarations()) {
+      declarations.push(documentConstant(declaration, statement, context))
+    }
+  }
+  for (const declaration of sourceFile.getClasses()) {
+    if (declaration.isExported()) declarations.push(documentClass(declaration, context))
+  }
+  for (const declaration of sourceFile.getFunctions()) {
+    if (declaration.isExported())
+      declarations.push(documentFunction(declaration, context))
   }
 
-  return { types, functions }
+  return declarations
 }
 
-function generateJSDocFromExports(allTypes, allFunctions) {
+function generateJSDocFromExports(declarations) {
   const lines = []
 
   lines.push('/**')
@@ -75,153 +93,555 @@ function generateJSDocFromExports(allTypes, allFunctions) {
   lines.push(' */')
   lines.push('')
 
-  // Process all type aliases
-  for (const type of allTypes) {
+  const ordered = DECLARATION_ORDER.flatMap((kind) =>
+    declarations.filter((declaration) => declaration.kind === kind),
+  )
+  for (const declaration of ordered) {
+    for (const block of declaration.blocks) {
+      lines.push(...renderBlock(block))
+      lines.push('')
+    }
+  }
+
+  // Generate Utils typedef
+  const members = ordered.filter((declaration) => declaration.memberType)
+  if (members.length > 0) {
     lines.push('/**')
-    if (type.comment) {
-      const cleanComment = extractCleanComment(type.comment)
-      lines.push(` * ${cleanComment}`)
+    lines.push(' * @typedef {Object} Utils')
+    for (const member of members) {
+      lines.push(` * @property {${member.memberType}} ${member.name}`)
     }
-    lines.push(` * @typedef {${type.definition}} Utils.${type.name}`)
     lines.push(' */')
     lines.push('')
   }
 
-  // Process all exported functions
-  const functionDeclarations = []
+  // Generate Utils variable declaration
+  lines.push('/**')
+  lines.push(' * @type {Utils}')
+  lines.push(' */')
+  lines.push('var Utils = Utils || {}')
+  lines.push('')
+
+  return lines.join('\n')
+}
 
-  for (const func of allFunctions) {
-    lines.push('/**')
+function renderBlock(block) {
+  const lines = block.flatMap((line) => line.split('\n'))
+  return ['/**', ...lines.map((line) => (line ? ` * ${line}` : ' *')), ' */']
+}
+
+function documentTypeAlias(typeAlias, context) {
+  const docs = readJSDoc(typeAlias)
+  const typeNode = typeAlias.getTypeNode()
+  const block = [...renderDescription(docs), ...renderTemplates(typeAlias, context)]
+
+  if (Node.isTypeLiteral(typeNode)) {
+    // Object types become @property lists so member comments survive
+    block.push(`@typedef {Object} Utils.${typeAlias.getName()}`)
+    block.push(...renderMembers(typeNode.getMembers(), context))
+  } else {
+    block.push(
+      `@typedef {${formatType(typeNode, typeAlias, context)}} Utils.${typeAlias.getName()}`,
+    )
+  }
+  block.push(...renderTags(docs))
 
-    // Add description from JSDoc
-    if (func.comment) {
-      const cleanComment = extractCleanComment(func.comment)
-      if (cleanComment.trim()) {
-        lines.push(` * ${cleanComment}`)
-      }
+  return { kind: 'type', name: typeAlias.getName(), blocks: [block] }
+}
+
+function documentInterface(declaration, context) {
+  const docs = readJSDoc(declaration)
+  const members = collectInterfaceMembers(declaration)
+
+  const block = [
+    ...renderDescription(docs),
+    ...renderTemplates(declaration, context),
+    `@typedef {Object} Utils.${declaration.getName()}`,
+    ...renderMembers(members, context),
+    ...renderTags(docs),
+  ]
+
+  return { kind: 'type', name: declaration.getName(), blocks: [block] }
+}
+
+function collectInterfaceMembers(declaration) {
+  // Own members override those inherited from base interfaces
+  const members = new Map()
+  for (const base of declaration.getBaseDeclarations()) {
+    if (!Node.isInterfaceDeclaration(base)) continue
+    for (const member of collectInterfaceMembers(base)) {
+      members.set(member.getName(), member)
     }
+  }
+  for (const member of [...declaration.getProperties(), ...declaration.getMethods()]) {
+    members.set(member.getName(), member)
+  }
+  return [...members.values()]
+}
 
-    lines.push(` * @function Utils.${func.name}`)
-
-    // Add parameters
-    for (const param of func.parameters) {
-      const paramName = param.getName()
-      const paramType = param.getTypeNode()?.getText() || 'any'
-      const isOptional = param.hasQuestionToken()
-
-      // Use Utils.TypeName for custom types
-      const formattedParamType = paramType.includes('DateValue')
-        ? `Utils.${paramType}`
-        : paramType
-      let paramStr = paramName
-
-      if (isOptional) {
-        if (paramName === 'defaultValue') {
-          paramStr = `[${paramName}=null]`
-        } else {
-          paramStr = `[${paramName}]`
-        }
-      }
+function documentEnum(declaration) {
+  const docs = readJSDoc(declaration)
+  const name = declaration.getName()
+  const values = declaration.getMembers().map((member) => member.getValue())
+  const valueType = values.every((value) => typeof value === 'string')
+    ? 'string'
+    : values.every((value) => typeof value === 'number')
+      ? 'number'
+      : 'string|number'
+
+  const block = [
+    ...renderDescription(docs),
+    '@readonly',
+    `@enum {${valueType}}`,
+    `@name Utils.${name}`,
+    ...declaration.getMembers().map((member) => {
+      const description = renderInlineDescription(readJSDoc(member))
+      return `@property {${JSON.stringify(member.getValue())}} ${member.getName()}${description}`
+    }),
+    ...renderTags(docs),
+  ]
+
+  return {
+    kind: 'type',
+    name,
+    blocks: [block],
+    memberType: `Readonly<Record<string, ${valueType}>>`,
+  }
+}
 
-      lines.push(
-        ` * @param {${formattedParamType}} ${paramStr} - ${getParamDescription(func.comment, paramName)}`,
-      )
+function documentConstant(declaration, statement, context) {
+  const docs = readJSDoc(statement)
+  const name = declaration.getName()
+  const typeNode = declaration.getTypeNode()
+  const initializer = unwrapExpression(declaration.getInitializer())
+
+  const block = [...renderDescription(docs), `@constant Utils.${name}`]
+  let memberType
+
+  if (!typeNode && Node.isObjectLiteralExpression(initializer)) {
+    // Object literals list their properties with the inferred value types
+    memberType = 'Object'
+    block.push('@type {Object}')
+    for (const property of initializer.getProperties()) {
+      if (!Node.isPropertyAssignment(property)) continue
+      const type = formatTypeText(property.getType().getText(property), context)
+      const description = renderInlineDescription(readJSDoc(property))
+      block.push(`@property {${type}} ${property.getName()}${description}`)
     }
+  } else {
+    memberType = formatType(typeNode, declaration, context)
+    block.push(`@type {${memberType}}`)
+  }
+  block.push(...renderTags(docs))
+
+  return { kind: 'constant', name, blocks: [block], memberType }
+}
+
+function unwrapExpression(expression) {
+  let current = expression
+  while (
+    Node.isAsExpression(current) ||
+    Node.isSatisfiesExpression(current) ||
+    Node.isParenthesizedExpression(current)
+  ) {
+    current = current.getExpression()
+  }
+  return current
+}
+
+function documentClass(declaration, context) {
+  const docs = readJSDoc(declaration)
+  const name = declaration.getName()
+  const classConstructor = declaration.getConstructors()[0]
+  const constructorDocs = classConstructor ? readJSDoc(classConstructor) : emptyJSDoc()
+
+  const block = [...renderDescription(docs), `@class Utils.${name}`]
+  const base = declaration.getExtends()
+  if (base) block.push(`@extends ${qualifyTypeNode(base, context)}`)
+  block.push(...renderTemplates(declaration, context))
+  if (classConstructor) {
+    block.push(...renderParameters(classConstructor, constructorDocs, context))
+    block.push(...renderThrows(constructorDocs, context))
+  }
+  block.push(...renderClassProperties(declaration, context))
+  block.push(...renderTags(docs))
+
+  const blocks = [block]
+  for (const method of declaration.getMethods()) {
+    if (!isPublicMember(method)) continue
+    const separator = method.isStatic() ? '.' : '#'
+    blocks.push(
+      ...documentSignatures(
+        method,
+        `Utils.${name}${separator}${method.getName()}`,
+        context,
+      ),
+    )
+  }
+
+  const parameters = classConstructor
+    ? formatSignatureParameters(classConstructor, context)
+    : ''
+  return {
+    kind: 'class',
+    name,
+    blocks,
+    memberType: `new (${parameters}) => Utils.${name}`,
+  }
+}
 
-    // Add return type
-    const formattedReturnType = func.returnType.includes('Date')
-      ? func.returnType.replace('undefined', 'null')
-      : func.returnType
+function renderClassProperties(declaration, context) {
+  const lines = []
+  const constructorParameters = declaration
+    .getConstructors()
+    .flatMap((signature) => signature.getParameters())
+    .filter((parameter) => parameter.isParameterProperty())
+
+  for (const member of [
+    ...constructorParameters,
+    ...declaration.getProperties(),
+    ...declaration.getGetAccessors(),
+  ]) {
+    if (!isPublicMember(member) || member.isStatic?.()) continue
+    const type = Node.isGetAccessorDeclaration(member)
+      ? formatType(member.getReturnTypeNode(), member, context, true)
+      : formatType(member.getTypeNode(), member, context)
+    const propertyName = member.hasQuestionToken?.()
+      ? `[${member.getName()}]`
+      : member.getName()
     lines.push(
-      ` * @returns {${formattedReturnType}} ${getReturnDescription(func.comment, func.name)}`,
+      `@property {${type}} ${propertyName}${renderInlineDescription(readJSDoc(member))}`,
     )
+  }
 
-    if (func.name === 'toDateStrict' && func.comment?.includes('@throws')) {
-      lines.push(` * @throws {Error} If the value cannot be converted to a valid Date`)
-    }
+  return lines
+}
 
-    lines.push(' */')
-    lines.push('')
+function isPublicMember(member) {
+  const nameNode = member.getNameNode()
+  return (
+    !Node.isComputedPropertyName(nameNode) &&
+    !Node.isPrivateIdentifier(nameNode) &&
+    member.getScope() === Scope.Public
+  )
+}
 
-    functionDeclarations.push(func.name)
+function documentFunction(declaration, context) {
+  const name = declaration.getName()
+  const signatures = getSignatures(declaration)
+
+  return {
+    kind: 'function',
+    name,
+    blocks: documentSignatures(declaration, `Utils.${name}`, context),
+    memberType: signatures
+      .map((signature) => `(${formatSignature(signature, context)})`)
+      .join(' & ')
+      .replace(/^\((.*)\)$/, '$1'),
   }
+}
 
-  // Generate Utils typedef
-  if (functionDeclarations.length > 0) {
-    lines.push('/**')
-    lines.push(' * @typedef {Object} Utils')
-    for (const funcName of functionDeclarations) {
-      lines.push(` * @property {function} ${funcName}`)
+// Overloaded functions and methods are documented once per overload signature
+function getSignatures(declaration) {
+  const overloads = declaration.getOverloads()
+  return overloads.length > 0 ? overloads : [declaration]
+}
+
+function documentSignatures(declaration, path, context) {
+  const implementationDocs = readJSDoc(declaration)
+
+  return getSignatures(declaration).map((signature) => {
+    // Overloads without their own tags fall back to those of the implementation
+    const merged =
+      signature === declaration
+        ? implementationDocs
+        : { ...implementationDocs, ...withoutEmpty(readJSDoc(signature)) }
+
+    return [
+      ...renderDescription(merged),
+      `@function ${path}`,
+      ...renderTemplates(signature, context),
+      ...renderParameters(signature, merged, context),
+      ...renderReturns(signature, merged, context),
+      ...renderThrows(merged, context),
+      ...renderTags(merged),
+    ]
+  })
+}
+
+function withoutEmpty(docs) {
+  return Object.fromEntries(
+    Object.entries(docs).filter(([, value]) =>
+      value instanceof Map
+        ? value.size > 0
+        : Array.isArray(value)
+          ? value.length > 0
+          : value,
+    ),
+  )
+}
+
+function renderTemplates(node, context) {
+  return node.getTypeParameters().map((parameter) => {
+    const constraint = parameter.getConstraint()
+    const defaultType = parameter.getDefault()
+    const name = defaultType
+      ? `[${parameter.getName()}=${qualifyTypeNode(defaultType, context)}]`
+      : parameter.getName()
+    return constraint
+      ? `@template {${qualifyTypeNode(constraint, context)}} ${name}`
+      : `@template ${name}`
+  })
+}
+
+function renderParameters(signature, docs, context) {
+  return getParameters(signature).map((parameter, index) => {
+    const name = getParameterName(parameter, index)
+    let type = formatType(parameter.getTypeNode(), parameter, context)
+    let displayName = name
+
+    if (parameter.isRestParameter()) {
+      type = `...${type.replace(/\[\]$/, '')}`
+    } else if (parameter.hasInitializer()) {
+      displayName = `[${name}=${formatTypeText(parameter.getInitializer().getText())}]`
+    } else if (parameter.isOptional()) {
+      displayName = `[${name}]`
     }
-    lines.push(' */')
-    lines.push('')
+
+    const description = docs.params.get(name)
+    return `@param {${type}} ${displayName}${description ? ` - ${description}` : ''}`
+  })
+}
+
+function getParameters(signature) {
+  // An explicit this parameter only types the receiver
+  return signature.getParameters().filter((parameter) => parameter.getName() !== 'this')
+}
+
+function getParameterName(parameter, index) {
+  const nameNode = parameter.getNameNode()
+  return Node.isIdentifier(nameNode) ? nameNode.getText() : `arg${index}`
+}
+
+function renderReturns(signature, docs, context) {
+  const returnTypeNode = signature.getReturnTypeNode()
+  const type = formatType(returnTypeNode, signature, context, true)
+
+  // Type predicates (value is T) describe themselves
+  let description = docs.returns
+  if (!description && Node.isTypePredicate(returnTypeNode)) {
+    const predicateType = returnTypeNode.getTypeNode()
+    description = predicateType
+      ? `True if ${returnTypeNode.getParameterNameNode().getText()} is ${qualifyTypeNode(predicateType, context)}`
+      : undefined
   }
 
-  // Generate Utils variable declaration
-  lines.push('/**')
-  lines.push(' * @type {Utils}')
-  lines.push(' */')
-  lines.push('var Utils = Utils || {}')
-  lines.push('')
+  return [`@returns {${type}}${description ? ` ${description}` : ''}`]
+}
 
-  return lines.join('\n')
+function renderThrows(docs, context) {
+  return docs.throws.map(({ type, description }) =>
+    ['@throws', type && `{${formatTypeText(type, context)}}`, description]
+      .filter(Boolean)
+      .join(' '),
+  )
 }
 
-function extractJSDocComment(node) {
-  const jsDoc = node.getJsDocs()
-  if (jsDoc.length > 0) {
-    return jsDoc[0].getText()
+function renderTags(docs) {
+  const lines = []
+  if (docs.deprecated !== undefined) {
+    lines.push(docs.deprecated ? `@deprecated ${docs.deprecated}` : '@deprecated')
+  }
+  for (const example of docs.examples) {
+    lines.push(`@example\n${example}`)
   }
-  return null
+  return lines
 }
 
-function extractCleanComment(jsdocComment) {
-  if (!jsdocComment) return ''
+function renderDescription(docs) {
+  return docs.description ? [docs.description] : []
+}
 
-  return jsdocComment
-    .replace(/\/\*\*|\*\//g, '')
-    .replace(/^\s*\*\s?/gm, '')
-    .split('\n')
-    .map((line) => line.trim())
-    .filter((line) => line && !line.startsWith('@'))
-    .join(' ')
-    .trim()
+function renderInlineDescription(docs) {
+  return docs.description ? ` - ${docs.description.replace(/\s*\n\s*/g, ' ')}` : ''
+}
+
+function renderMembers(members, context) {
+  return members.flatMap((member) => {
+    let type
+    if (Node.isPropertySignature(member)) {
+      type = formatType(member.getTypeNode(), member, context)
+    } else if (Node.isMethodSignature(member)) {
+      type = formatSignature(member, context)
+    } else {
+      return []
+    }
+    const name = member.hasQuestionToken() ? `[${member.getName()}]` : member.getName()
+    return [`@property {${type}} ${name}${renderInlineDescription(readJSDoc(member))}`]
+  })
+}
+
+function formatSignature(signature, context) {
+  const typeParameters = signature.getTypeParameters().map((parameter) => {
+    const constraint = parameter.getConstraint()
+    const defaultType = parameter.getDefault()
+    return [
+      parameter.getName(),
+      constraint && ` extends ${qualifyTypeNode(constraint, context)}`,
+      defaultType && ` = ${qualifyTypeNode(defaultType, context)}`,
+    ]
+      .filter(Boolean)
+      .join('')
+  })
+  const generics = typeParameters.length > 0 ? `<${typeParameters.join(', ')}>` : ''
+  const returnType = formatType(signature.getReturnTypeNode(), signature, context, true)
+  return `${generics}(${formatSignatureParameters(signature, context)}) => ${returnType}`
+}
+
+function formatSignatureParameters(signature, context) {
+  return getParameters(signature)
+    .map((parameter, index) => {
+      const name = getParameterName(parameter, index)
+      const type = formatType(parameter.getTypeNode(), parameter, context)
+      if (parameter.isRestParameter()) return `...${name}: ${type}`
+      const optional = parameter.isOptional() ? '?' : ''
+      return `${name}${optional}: ${type}`
+    })
+    .join(', ')
 }
 
-function getParamDescription(jsdocComment, paramName) {
-  if (!jsdocComment) {
-    if (paramName === 'value') return 'The value to convert to a Date'
-    if (paramName === 'defaultValue')
-      return 'The default value to return if the value is invalid'
-    return `The ${paramName} parameter`
+/**
+ * Returns the JSDoc type of a declaration: its type annotation with exported types
+ * qualified, or the type TypeScript infers for it.
+ */
+function formatType(typeNode, declaration, context, isReturnType = false) {
+  if (typeNode) return qualifyTypeNode(typeNode, context)
+
+  const type = isReturnType ? declaration.getReturnType() : declaration.getType()
+  return formatTypeText(type.getText(declaration), context)
+}
+
+function qualifyTypeNode(typeNode, context) {
+  const start = typeNode.getStart()
+  const references = [
+    typeNode,
+    ...typeNode.getDescendantsOfKind(SyntaxKind.TypeReference),
+    ...typeNode.getDescendantsOfKind(SyntaxKind.ExpressionWithTypeArguments),
+  ]
+
+  // Replace from the end so earlier positions stay valid
+  const identifiers = references
+    .map(getReferencedIdentifier)
+    .filter((identifier) => identifier && isExportedType(identifier, context))
+    .sort((a, b) => b.getStart() - a.getStart())
+
+  let text = typeNode.getText()
+  for (const identifier of identifiers) {
+    const offset = identifier.getStart() - start
+    text = `${text.slice(0, offset)}Utils.${text.slice(offset)}`
   }
+  return formatTypeText(text)
+}
+
+function getReferencedIdentifier(node) {
+  const name = Node.isTypeReference(node)
+    ? node.getTypeName()
+    : Node.isExpressionWithTypeArguments(node)
+      ? node.getExpression()
+      : undefined
+  return Node.isIdentifier(name) ? name : undefined
+}
+
+function isExportedType(identifier, context) {
+  let symbol = identifier.getSymbol()
+  if (symbol?.isAlias()) symbol = symbol.getAliasedSymbol()
+
+  return (symbol?.getDeclarations() ?? []).some(
+    (declaration) =>
+      context.sourceFiles.has(declaration.getSourceFile()) &&
+      (Node.isTypeAliasDeclaration(declaration) ||
+        Node.isInterfaceDeclaration(declaration) ||
+        Node.isEnumDeclaration(declaration) ||
+        Node.isClassDeclaration(declaration)) &&
+      declaration.isExported(),
+  )
+}
+
+function formatTypeText(typeText, context) {
+  // JSDoc type expressions must stay on one line, and member comments inside
+  // them would end the surrounding comment block
+  const text = typeText
+    .replace(/\/\*[\s\S]*?\*\//g, '')
+    .replace(/\s+/g, ' ')
+    .replace(/^\|\s*/, '')
+    .replace(/import\("[^"]*"\)\./g, '')
+    .trim()
+  if (!context) return text
 
-  const paramMatch = jsdocComment.match(
-    new RegExp(`@param[^\\n]*${paramName}[^\\n]*-\\s*([^\\n]+)`, 'i'),
+  // Inferred types are only available as text, so qualify names that are not
+  // already qualified or used as property keys
+  return text.replace(/(?<![\w$.])([A-Za-z_$][\w$]*)(?![\w$]|\??:)/g, (name) =>
+    context.typeNames.has(name) ? `Utils.${name}` : name,
   )
-  if (paramMatch) return paramMatch[1].trim()
+}
 
-  if (paramName === 'defaultValue')
-    return 'The default value to return if the value is invalid'
-  return 'The value to convert to a Date'
+function emptyJSDoc() {
+  return {
+    description: '',
+    params: new Map(),
+    returns: undefined,
+    throws: [],
+    examples: [],
+    deprecated: undefined,
+  }
 }
 
-function getReturnDescription(jsdocComment, functionName) {
-  if (!jsdocComment) {
-    if (functionName === 'toDate')
-      return 'The converted Date or null if the value is invalid'
-    if (functionName === 'toDateStrict') return 'The converted Date'
-    if (functionName === 'isDate') return 'True if the value is a valid Date object'
-    return 'The return value'
+/**
+ * Reads the description and tags of the JSDoc block closest to a node.
+ */
+function readJSDoc(node) {
+  const docs = emptyJSDoc()
+  const jsDoc = node.getJsDocs?.().at(-1)
+  if (!jsDoc) return docs
+
+  docs.description = (jsDoc.getDescription() ?? '').trim()
+
+  for (const tag of jsDoc.getTags()) {
+    const comment = (tag.getCommentText() ?? '').trim()
+    switch (tag.getTagName()) {
+      case 'param':
+        if (Node.isJSDocParameterTag(tag)) {
+          docs.params.set(tag.getName(), stripDash(comment))
+        }
+        break
+      case 'returns':
+      case 'return':
+        docs.returns = stripDash(comment) || undefined
+        break
+      case 'throws':
+      case 'exception':
+        docs.throws.push({
+          type: tag.getText().match(/^@\w+\s+\{([^}]+)\}/)?.[1],
+          description: stripDash(comment),
+        })
+        break
+      case 'example':
+        docs.examples.push(comment)
+        break
+      case 'deprecated':
+        docs.deprecated = comment
+        break
+    }
   }
 
-  const returnMatch = jsdocComment.match(/@returns?[^\\n]*-\\s*([^\\n]+)/i)
-  if (returnMatch) return returnMatch[1].trim()
+  return docs
+}
 
-  if (functionName === 'toDate')
-    return 'The converted Date or null if the value is invalid'
-  if (functionName === 'isDate') return 'True if the value is a valid Date object'
-  return 'The converted Date'
+function stripDash(text) {
+  return text.replace(/^-\s*/, '').replace(/\s*\n\s*/g, ' ')
 }
 
-buildJSDoc().catch(console.error)
+buildJSDoc().catch((error) => {
+  console.error(error)
+  process.exitCode = 1
+})
@@ -8,6 +8,9 @@ import { Project } from 'ts-morph'
 
 const __dirname = dirname(fileURLToPath(import.meta.url))
 
+const CLI_MODULES = ['cli-config.js', 'cli-scopes.js', 'cli-trace.js', 'source-map.js']
+const RUNTIME_MODULES = ['gas-runtime.js', 'gas-runtime-services.js']
+
 async function buildNPM() {
   const project = new Project({
     tsConfigFilePath: './tsconfig.json',
@@ -33,10 +36,19 @@ async function buildNPM() {
   const indexContent = generateIndexFile(sourceFiles)
   await writeFile(join(srcDir, 'index.ts'), indexContent)
 
-  // Copy CLI bundler script
+  // Copy CLI bundler script and the modules it imports
   const cliBundlerSource = await readFile(join(__dirname, 'cli-bundler.js'), 'utf8')
   await mkdir(join(outputDir, 'bin'), { recursive: true })
   await writeFile(join(outputDir, 'bin', 'gas-utils-build.js'), cliBundlerSource)
+  for (const fileName of CLI_MODULES) {
+    copyFileSync(join(__dirname, fileName), join(outputDir, 'bin', fileName))
+  }
+
+  // Copy the Apps Script runtime emulator, imported as gas-utils-library/runtime
+  await mkdir(join(outputDir, 'runtime'), { recursive: true })
+  for (const fileName of RUNTIME_MODULES) {
+    copyFileSync(join(__dirname, fileName), join(outputDir, 'runtime', fileName))
+  }
 
   // Generate package.json
   const packageJson = generatePackageJson()
@@ -79,11 +91,23 @@ function generateIndexFile(sourceFiles) {
     // Get exported items
     const exportedTypes = sourceFile.getTypeAliases().filter((t) => t.isExported())
     const exportedFunctions = sourceFile.getFunctions().filter((f) => f.isExported())
-
-    if (exportedTypes.length > 0 || exportedFunctions.length > 0) {
+    const exportedClasses = sourceFile.getClasses().filter((c) => c.isExported())
+    const exportedVariables = sourceFile
+      .getVariableStatements()
+      .filter((v) => v.isExported())
+      .flatMap((v) => v.getDeclarations())
+
+    if (
+      exportedTypes.length > 0 ||
+      exportedFunctions.length > 0 ||
+      exportedClasses.length > 0 ||
+      exportedVariables.length > 0
+    ) {
       const exports = [
         ...exportedTypes.map((t) => t.getName()),
+        ...exportedVariables.map((v) => v.getName()),
         ...exportedFunctions.map((f) => f.getName()),
+        ...exportedClasses.map((c) => c.getName()),
       ]
 
       lines.push(`export { ${exports.join(', ')} } from './${fileName}.js'`)
@@ -111,9 +135,14 @@ function generatePackageJson() {
       email: 'daniel@capraflow.com',
     },
     license: 'MIT',
+    type: 'module',
     main: 'dist/index.js',
     module: 'dist/index.js',
     types: 'dist/index.d.ts',
+    exports: {
+      '.': { types: './dist/index.d.ts', default: './dist/index.js' },
+      './runtime': './runtime/gas-runtime.js',
+    },
     bin: {
       'gas-utils': './bin/gas-utils-build.js',
     },
@@ -125,7 +154,14 @@ function generatePackageJson() {
       'bundler',
       'self-contained',
     ],
-    files: ['dist/**/*', 'src/**/*', 'bin/**/*', 'README.md', 'package.json'],
+    files: [
+      'dist/**/*',
+      'src/**/*',
+      'bin/**/*',
+      'runtime/**/*',
+      'README.md',
+      'package.json',
+    ],
     scripts: {
       build: 'tsc',
       prepublishOnly: 'npm run build',
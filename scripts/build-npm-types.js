@@ -2,12 +2,17 @@
 
 import { copyFileSync, readFileSync } from 'node:fs'
 import { mkdir, rm, writeFile } from 'node:fs/promises'
-import { join } from 'node:path'
-import { Project } from 'ts-morph'
+import { basename, join } from 'node:path'
+import { Node, Project } from 'ts-morph'
+
+// Identifier of the library object, as deployed and as the Lib namespace member
+const LIBRARY_NAME = 'Utils'
+const FIXTURE_TSCONFIG = './scripts/fixtures/npm-types-consumer/tsconfig.json'
 
 async function buildTypes() {
   const project = new Project({
     tsConfigFilePath: './tsconfig.json',
+    compilerOptions: { declaration: true, declarationMap: false },
   })
 
   const sourceFiles = project.getSourceFiles('./app/**/*.ts')
@@ -17,47 +22,8 @@ async function buildTypes() {
   await rm(outputDir, { recursive: true, force: true })
   await mkdir(outputDir, { recursive: true })
 
-  // Collect all exports from all source files
-  const allTypes = []
-  const allInterfaces = []
-
-  for (const sourceFile of sourceFiles) {
-    // Process type aliases
-    const typeAliases = sourceFile.getTypeAliases().filter((t) => t.isExported())
-    for (const typeAlias of typeAliases) {
-      allTypes.push({
-        name: typeAlias.getName(),
-        definition: typeAlias.getTypeNode()?.getText() || 'any',
-        comment: extractJSDocComment(typeAlias),
-      })
-    }
-
-    // Process exported functions
-    const functions = sourceFile.getFunctions().filter((f) => f.isExported())
-    for (const func of functions) {
-      const name = func.getName()
-      const params = func.getParameters()
-      const returnType = func.getReturnTypeNode()?.getText() || 'any'
-      const comment = extractJSDocComment(func)
-
-      const paramSignatures = params
-        .map((param) => {
-          const paramName = param.getName()
-          const paramType = param.getTypeNode()?.getText() || 'any'
-          const isOptional = param.hasQuestionToken()
-          return `${paramName}${isOptional ? '?' : ''}: ${paramType}`
-        })
-        .join(', ')
-
-      allInterfaces.push({
-        name,
-        signature: `${name}(${paramSignatures}): ${returnType}`,
-        comment,
-      })
-    }
-  }
-
-  const outputContent = generateTypeDeclarations(allTypes, allInterfaces)
+  const declarations = emitDeclarations(project, sourceFiles)
+  const outputContent = generateTypeDeclarations(declarations)
 
   await writeFile(join(outputDir, 'index.d.ts'), outputContent)
 
@@ -72,98 +38,109 @@ async function buildTypes() {
   const npmignore = generateNpmignore()
   await writeFile(join(outputDir, '.npmignore'), npmignore)
 
+  checkConsumerFixture()
+
   console.log(`Generated TypeScript declarations and npm package files in ${outputDir}`)
 }
 
-function generateTypeDeclarations(types, interfaces) {
-  const lines = []
+/**
+ * Returns the compiler's declaration output for each source file, in source order,
+ * with the module syntax removed so the files can share one ambient namespace.
+ */
+function emitDeclarations(project, sourceFiles) {
+  const result = project.emitToMemory({ emitOnlyDtsFiles: true })
+  const diagnostics = result.getDiagnostics()
+  if (diagnostics.length > 0) {
+    throw new Error(project.formatDiagnosticsWithColorAndContext(diagnostics))
+  }
 
-  lines.push('declare namespace Lib {')
-  lines.push('  namespace Utils {')
-
-  // Add type definitions
-  for (const type of types) {
-    if (type.comment) {
-      const cleanComment = extractCleanComment(type.comment)
-
-      if (cleanComment.trim()) {
-        lines.push('    /**')
-        lines.push(`     * ${cleanComment}`)
-        lines.push('     */')
-      }
+  const emitted = new Map(
+    result
+      .getFiles()
+      .filter((file) => file.filePath.endsWith('.d.ts'))
+      .map((file) => [basename(file.filePath, '.d.ts'), file.text]),
+  )
+  const declarationProject = new Project({ useInMemoryFileSystem: true })
+
+  return sourceFiles.map((sourceFile) => {
+    const name = sourceFile.getBaseNameWithoutExtension()
+    const text = emitted.get(name)
+    if (text === undefined) throw new Error(`No declarations emitted for ${name}.ts`)
+
+    const declarationFile = declarationProject.createSourceFile(`/${name}.d.ts`, text)
+    return toNamespaceMembers(declarationFile)
+  })
+}
+
+function toNamespaceMembers(declarationFile) {
+  // Imports between app files resolve within the namespace, which build-gas-lib
+  // guarantees by rejecting renamed imports
+  for (const declaration of declarationFile.getImportDeclarations()) {
+    declaration.remove()
+  }
+  for (const declaration of declarationFile.getExportDeclarations()) {
+    if (!declaration.hasNamedExports() && !declaration.hasModuleSpecifier()) {
+      declaration.remove()
+    } else {
+      throw new Error(
+        `Unsupported re-export in ${declarationFile.getBaseName()}: ${declaration.getText()}`,
+      )
     }
-    lines.push(`    type ${type.name} = ${type.definition}`)
-    lines.push('')
   }
 
-  // Add interface with all functions
-  lines.push('    interface Utils {')
-  for (const func of interfaces) {
-    if (func.comment) {
-      lines.push('      /**')
-
-      // Add main description
-      const cleanComment = extractCleanComment(func.comment)
-      if (cleanComment.trim()) {
-        lines.push(`       * ${cleanComment}`)
-      }
-
-      // Extract and add @param and @returns documentation
-      const originalLines = func.comment
-        .replace(/\/\*\*|\*\//g, '')
-        .replace(/^\s*\*\s?/gm, '')
-        .split('\n')
-        .map((line) => line.trim())
-        .filter((line) => line)
-
-      for (const line of originalLines) {
-        if (
-          line.startsWith('@param') ||
-          line.startsWith('@returns') ||
-          line.startsWith('@throws')
-        ) {
-          lines.push(`       * ${line}`)
-        }
-      }
-
-      lines.push('       */')
+  // Declarations inside an ambient namespace cannot repeat the declare keyword
+  for (const statement of declarationFile.getStatements()) {
+    if (Node.isAmbientable(statement) && statement.hasDeclareKeyword()) {
+      statement.setHasDeclareKeyword(false)
     }
-    lines.push(`      ${func.signature}`)
+  }
 
-    if (interfaces.indexOf(func) < interfaces.length - 1) {
-      lines.push('')
-    }
+  return declarationFile.getFullText().trim()
+}
+
+function generateTypeDeclarations(declarations) {
+  const lines = []
+
+  lines.push('declare namespace Lib {')
+  lines.push(`  namespace ${LIBRARY_NAME} {`)
+
+  for (const text of declarations) {
+    lines.push(indent(text, '    '))
+    lines.push('')
   }
-  lines.push('    }')
 
+  lines.push('    /**')
+  lines.push('     * The library object, as exposed to scripts that add the library')
+  lines.push('     */')
+  lines.push(`    export type ${LIBRARY_NAME} = typeof Lib.${LIBRARY_NAME}`)
   lines.push('  }')
   lines.push('}')
   lines.push('')
-  lines.push('declare var Utils: Lib.Utils.Utils')
+  lines.push(`declare var ${LIBRARY_NAME}: Lib.${LIBRARY_NAME}.${LIBRARY_NAME}`)
   lines.push('')
 
   return lines.join('\n')
 }
 
-function extractJSDocComment(node) {
-  const jsDoc = node.getJsDocs()
-  if (jsDoc.length > 0) {
-    return jsDoc[0].getText()
-  }
-  return null
+function indent(text, prefix) {
+  return text
+    .split('\n')
+    .map((line) => (line ? `${prefix}${line}` : line))
+    .join('\n')
 }
 
-function extractCleanComment(jsdocComment) {
-  if (!jsdocComment) return ''
-
-  return jsdocComment
-    .replace(/\/\*\*|\*\//g, '')
-    .replace(/^\s*\*\s?/gm, '')
-    .split('\n')
-    .map((line) => line.trim())
-    .filter((line) => line && !line.startsWith('@'))
-    .join(' ')
-    .trim()
+/**
+ * Compiles the fixture consumer project against the generated declarations and
+ * throws on any error, so the package cannot drift from the library.
+ */
+function checkConsumerFixture() {
+  const fixture = new Project({ tsConfigFilePath: FIXTURE_TSCONFIG })
+  const diagnostics = fixture.getPreEmitDiagnostics()
+  if (diagnostics.length > 0) {
+    throw new Error(
+      `The types fixture does not compile against index.d.ts:\n${fixture.formatDiagnosticsWithColorAndContext(diagnostics)}`,
+    )
+  }
 }
 
 function generatePackageJson() {
@@ -286,4 +263,7 @@ Desktop.ini
 `
 }
 
-buildTypes().catch(console.error)
+buildTypes().catch((error) => {
+  console.error(error)
+  process.exitCode = 1
+})
@@ -0,0 +1,493 @@
+#!/usr/bin/env node
+
+import { readFile } from 'node:fs/promises'
+import { Node, Project } from 'ts-morph'
+
+// The built artifacts, each compared with the exports of app/
+const ARTIFACTS = [
+  { name: 'gas-lib', path: './dist/gas-lib/*.js', read: readGasLibSurface },
+  { name: 'gas-types', path: './docs/gas-types.js', read: readGasTypesSurface },
+  { name: 'npm-lib', path: './dist/npm-lib/src/index.ts', read: readNpmLibSurface },
+  { name: 'npm-types', path: './dist/npm-types/index.d.ts', read: readNpmTypesSurface },
+]
+
+// What each artifact can express: gas-lib is plain JavaScript without types, where
+// an overloaded function is the one function of its implementation
+const ARTIFACT_DETAIL = {
+  'gas-lib': {
+    types: false,
+    optionality: false,
+    returns: false,
+    members: false,
+    overloads: false,
+  },
+  'gas-types': {
+    types: true,
+    optionality: true,
+    returns: true,
+    members: true,
+    overloads: true,
+  },
+  'npm-lib': {
+    types: true,
+    optionality: true,
+    returns: true,
+    members: true,
+    overloads: true,
+  },
+  'npm-types': {
+    types: true,
+    optionality: true,
+    returns: true,
+    members: true,
+    overloads: true,
+  },
+}
+
+async function checkApiParity() {
+  const project = new Project({
+    tsConfigFilePath: './tsconfig.json',
+  })
+  const expected = readSourceSurface(project.getSourceFiles('./app/**/*.ts'))
+
+  const reports = []
+  for (const artifact of ARTIFACTS) {
+    const actual = await artifact.read(artifact.path)
+    const problems = compareSurfaces(expected, actual, ARTIFACT_DETAIL[artifact.name])
+    if (problems.length > 0) reports.push({ ...artifact, problems })
+  }
+
+  if (reports.length > 0) {
+    const count = reports.reduce((total, report) => total + report.problems.length, 0)
+    const lines = [`API parity check failed with ${count} difference(s) from app/:`]
+    for (const report of reports) {
+      lines.push('', `${report.name} (${report.path})`)
+      lines.push(...report.problems.map((problem) => `  ${problem}`))
+    }
+    throw new Error(lines.join('\n'))
+  }
+
+  console.log(`API parity check passed for ${ARTIFACTS.length} artifacts`)
+}
+
+// Artifacts are read with the compiler options of the sources
+function createProject() {
+  return new Project({
+    tsConfigFilePath: './tsconfig.json',
+    skipAddingFilesFromTsConfig: true,
+  })
+}
+
+/**
+ * Returns the public surface of the app/ sources: a map from each exported name to
+ * its kind, call signatures and, for classes, public members.
+ */
+function readSourceSurface(sourceFiles) {
+  return describeStatements(
+    sourceFiles.flatMap((sourceFile) => sourceFile.getStatements()),
+    (node) => node.isExported(),
+  )
+}
+
+async function readNpmLibSurface(path) {
+  const project = createProject()
+  const indexFile = project.addSourceFileAtPath(path)
+  project.resolveSourceFileDependencies()
+
+  const surface = new Map()
+  for (const [name, declarations] of indexFile.getExportedDeclarations()) {
+    if (name === 'default') continue
+    const entries = describeStatements(declarations, () => true)
+    if (entries.has(name)) surface.set(name, entries.get(name))
+  }
+  return surface
+}
+
+async function readNpmTypesSurface(path) {
+  const project = createProject()
+  const declarationFile = project.addSourceFileAtPath(path)
+
+  const namespace = declarationFile.getModule('Lib')?.getModule('Utils')
+  if (!namespace) throw new Error(`${path} does not declare namespace Lib.Utils`)
+
+  // Everything in the namespace is public; the Utils type describes the namespace
+  const surface = describeStatements(namespace.getStatements(), () => true)
+  surface.delete('Utils')
+  return surface
+}
+
+async function readGasLibSurface(path) {
+  const project = new Project({ compilerOptions: { allowJs: true } })
+  const sourceFiles = project.addSourceFilesAtPaths(path)
+
+  // Only top-level functions and vars are visible to scripts that add the library
+  const surface = new Map()
+  for (const sourceFile of sourceFiles) {
+    for (const declaration of sourceFile.getFunctions()) {
+      surface.set(declaration.getName(), {
+        kind: 'function',
+        signatures: [describeSignature(declaration)],
+      })
+    }
+    for (const statement of sourceFile.getVariableStatements()) {
+      if (statement.getDeclarationKind() !== 'var') continue
+      for (const declaration of statement.getDeclarations()) {
+        surface.set(declaration.getName(), { kind: 'value' })
+      }
+    }
+  }
+  return surface
+}
+
+/**
+ * Reads the surface documented by the JSDoc blocks of the gas-types file, with the
+ * kind taken from @typedef, @enum, @constant, @class and @function tags.
+ */
+async function readGasTypesSurface(path) {
+  const text = await readFile(path, 'utf8')
+  const surface = new Map()
+
+  for (const [, body] of text.matchAll(/\/\*\*([\s\S]*?)\*\//g)) {
+    const lines = body.split('\n').map((line) => line.replace(/^\s*\*\s?/, '').trim())
+    const tags = lines.filter((line) => line.startsWith('@'))
+    const findTag = (name) => tags.find((tag) => tag.startsWith(`@${name} `))
+
+    const signature = {
+      parameters: tags
+        .filter((tag) => tag.startsWith('@param '))
+        .map(parseGasParameter),
+      returns: findTag('returns') && formatType(readBraced(findTag('returns')).type),
+    }
+
+    const functionTag = findTag('function')
+    const classTag = findTag('class')
+    if (functionTag) {
+      const path = functionTag.split(/\s+/)[1]
+      const member = /^Utils\.(\w+)([#.])(\w+)$/.exec(path)
+      if (member) {
+        const [, className, separator, memberName] = member
+        const entry = surface.get(className)
+        const key = separator === '.' ? `static ${memberName}` : memberName
+        addSignature(entry?.members ?? new Map(), key, 'method', signature)
+      } else {
+        addSignature(surface, path.replace(/^Utils\./, ''), 'function', signature)
+      }
+    } else if (classTag) {
+      const members = new Map()
+      for (const tag of tags.filter((line) => line.startsWith('@property '))) {
+        const { rest } = readBraced(tag)
+        members.set(rest.split(/\s+/)[0].replace(/^\[|\]$/g, ''), { kind: 'property' })
+      }
+      surface.set(classTag.split(/\s+/)[1].replace(/^Utils\./, ''), {
+        kind: 'class',
+        signatures: [{ parameters: signature.parameters }],
+        members,
+      })
+    } else if (findTag('constant')) {
+      surface.set(
+        findTag('constant')
+          .split(/\s+/)[1]
+          .replace(/^Utils\./, ''),
+        {
+          kind: 'value',
+        },
+      )
+    } else if (tags.includes('@readonly') && findTag('enum') && findTag('name')) {
+      surface.set(
+        findTag('name')
+          .split(/\s+/)[1]
+          .replace(/^Utils\./, ''),
+        {
+          kind: 'enum',
+        },
+      )
+    } else if (findTag('typedef')) {
+      const name = readBraced(findTag('typedef')).rest.split(/\s+/)[0]
+      // The Utils typedef describes the library object itself
+      if (name !== 'Utils') surface.set(name.replace(/^Utils\./, ''), { kind: 'type' })
+    }
+  }
+
+  return surface
+}
+
+function parseGasParameter(tag) {
+  const { type, rest } = readBraced(tag)
+  const name = rest.split(/\s+/)[0]
+  const optional = name.startsWith('[')
+  return {
+    name: optional ? name.slice(1, -1).split('=')[0] : name,
+    optional,
+    rest: type.startsWith('...'),
+    type,
+  }
+}
+
+// Reads the {type} of a tag, which may contain nested braces
+function readBraced(tag) {
+  const start = tag.indexOf('{')
+  if (start === -1) return { type: '', rest: tag.replace(/^@\w+\s*/, '') }
+
+  let depth = 0
+  for (let index = start; index < tag.length; index++) {
+    if (tag[index] === '{') depth++
+    if (tag[index] === '}' && --depth === 0) {
+      return {
+        type: tag.slice(start + 1, index),
+        rest: tag.slice(index + 1).trim(),
+      }
+    }
+  }
+  return { type: tag.slice(start + 1), rest: '' }
+}
+
+function addSignature(surface, name, kind, signature) {
+  const entry = surface.get(name)
+  if (entry) entry.signatures.push(signature)
+  else surface.set(name, { kind, signatures: [signature] })
+}
+
+function describeStatements(statements, isPublic) {
+  const surface = new Map()
+
+  for (const node of statements) {
+    if (Node.isVariableStatement(node)) {
+      if (!isPublic(node)) continue
+      for (const declaration of node.getDeclarations()) {
+        surface.set(declaration.getName(), { kind: 'value' })
+      }
+    } else if (Node.isVariableDeclaration(node)) {
+      surface.set(node.getName(), { kind: 'value' })
+    } else if (Node.isFunctionDeclaration(node)) {
+      if (!isPublic(node)) continue
+      // Declaration files have overloads without an implementation, each described
+      // by itself; with an implementation, they are described through it
+      if (!node.hasBody()) {
+        if (!node.getImplementation()) {
+          addSignature(surface, node.getName(), 'function', describeSignature(node))
+        }
+        continue
+      }
+      for (const signature of getSignatures(node)) {
+        addSignature(surface, node.getName(), 'function', describeSignature(signature))
+      }
+      if (node.getOverloads().length > 0) {
+        surface.get(node.getName()).implementation = describeSignature(node)
+      }
+    } else if (Node.isClassDeclaration(node)) {
+      if (isPublic(node)) surface.set(node.getName(), describeClass(node))
+    } else if (Node.isEnumDeclaration(node)) {
+      if (isPublic(node)) surface.set(node.getName(), { kind: 'enum' })
+    } else if (Node.isTypeAliasDeclaration(node) || Node.isInterfaceDeclaration(node)) {
+      if (isPublic(node)) surface.set(node.getName(), { kind: 'type' })
+    }
+  }
+
+  return surface
+}
+
+function getSignatures(declaration) {
+  const overloads = declaration.getOverloads()
+  return overloads.length > 0 ? overloads : [declaration]
+}
+
+function describeClass(declaration) {
+  const members = new Map()
+
+  for (const member of declaration.getMembers()) {
+    if (
+      !(
+        Node.isMethodDeclaration(member) ||
+        Node.isPropertyDeclaration(member) ||
+        Node.isGetAccessorDeclaration(member)
+      ) ||
+      Node.isComputedPropertyName(member.getNameNode()) ||
+      Node.isPrivateIdentifier(member.getNameNode()) ||
+      member.getScope() !== 'public'
+    ) {
+      continue
+    }
+
+    const key = member.isStatic() ? `static ${member.getName()}` : member.getName()
+    if (Node.isMethodDeclaration(member)) {
+      if (member.isOverload() && member.getImplementation()) continue
+      for (const signature of getSignatures(member)) {
+        addSignature(members, key, 'method', describeSignature(signature))
+      }
+    } else {
+      members.set(key, { kind: 'property' })
+    }
+  }
+
+  const [classConstructor] = declaration.getConstructors()
+  return {
+    kind: 'class',
+    signatures: [
+      {
+        parameters: classConstructor
+          ? describeSignature(classConstructor).parameters
+          : [],
+      },
+    ],
+    members,
+  }
+}
+
+function describeSignature(signature) {
+  const returnTypeNode = Node.isConstructorDeclaration(signature)
+    ? undefined
+    : signature.getReturnTypeNode?.()
+
+  return {
+    parameters: signature
+      .getParameters()
+      .filter((parameter) => parameter.getName() !== 'this')
+      .map((parameter) => ({
+        name: parameter.getName(),
+        optional: parameter.isOptional(),
+        rest: parameter.isRestParameter(),
+        type:
+          parameter.getTypeNode()?.getText() ?? parameter.getType().getText(parameter),
+      })),
+    returns: Node.isConstructorDeclaration(signature)
+      ? undefined
+      : formatType(
+          returnTypeNode?.getText() ?? signature.getReturnType().getText(signature),
+        ),
+  }
+}
+
+// Type text is reported on one line
+function formatType(text) {
+  return text.replace(/\s+/g, ' ').trim()
+}
+
+/**
+ * Returns type text without formatting differences between the source, the
+ * compiler's declaration output and JSDoc, so equal types compare equal.
+ */
+function normalizeType(text) {
+  return text
+    .replace(/import\("[^"]*"\)\./g, '')
+    .replace(/\b(?:Lib\.)?Utils\./g, '')
+    .replace(/"/g, "'")
+    .replace(/\s+/g, '')
+    .replace(/[;,](?=[}\]>)])/g, '')
+    .replace(/;/g, ',')
+    .replace(/^\|/, '')
+}
+
+function compareSurfaces(expected, actual, detail) {
+  const problems = []
+
+  for (const [name, entry] of expected) {
+    if (entry.kind === 'type' && !detail.types) continue
+    const found = actual.get(name)
+    if (!found) {
+      problems.push(`${name}: missing ${entry.kind}`)
+      continue
+    }
+    problems.push(...compareEntries(name, entry, found, detail))
+  }
+
+  for (const [name, found] of actual) {
+    if (!expected.has(name)) problems.push(`${name}: unexpected ${found.kind}`)
+  }
+
+  return problems
+}
+
+function compareEntries(name, expected, actual, detail) {
+  // Without types, classes, enums and constants are all plain values
+  const expectedKind =
+    !detail.types && expected.kind !== 'function' ? 'value' : expected.kind
+  if (expectedKind !== actual.kind) {
+    return [`${name}: ${actual.kind}, expected ${expectedKind}`]
+  }
+
+  const problems = []
+  const expectedSignatures =
+    !detail.overloads && expected.implementation
+      ? [expected.implementation]
+      : expected.signatures
+  if (expectedSignatures && actual.signatures) {
+    problems.push(
+      ...compareSignatures(name, expectedSignatures, actual.signatures, detail),
+    )
+  }
+
+  if (detail.members && expected.members) {
+    const members = actual.members ?? new Map()
+    for (const [memberName, member] of expected.members) {
+      const label = formatMemberName(name, memberName)
+      const found = members.get(memberName)
+      if (!found) problems.push(`${label}: missing ${member.kind}`)
+      else if (found.kind !== member.kind)
+        problems.push(`${label}: ${found.kind}, expected ${member.kind}`)
+      else if (member.signatures)
+        problems.push(
+          ...compareSignatures(label, member.signatures, found.signatures, detail),
+        )
+    }
+    for (const [memberName, member] of members) {
+      if (!expected.members.has(memberName)) {
+        problems.push(
+          `${formatMemberName(name, memberName)}: unexpected ${member.kind}`,
+        )
+      }
+    }
+  }
+
+  return problems
+}
+
+function formatMemberName(className, memberName) {
+  return memberName.startsWith('static ')
+    ? `${className}.${memberName.slice('static '.length)}`
+    : `${className}#${memberName}`
+}
+
+function compareSignatures(label, expected, actual, detail) {
+  if (expected.length !== actual.length) {
+    return [`${label}: ${actual.length} signatures, expected ${expected.length}`]
+  }
+
+  const problems = []
+  expected.forEach((signature, index) => {
+    const other = actual[index]
+    if (
+      formatParameters(signature.parameters, detail, normalizeType) !==
+      formatParameters(other.parameters, detail, normalizeType)
+    ) {
+      const expectedParameters = formatParameters(signature.parameters, detail)
+      const actualParameters = formatParameters(other.parameters, detail)
+      problems.push(
+        `${label}: parameters ${actualParameters}, expected ${expectedParameters}`,
+      )
+    }
+    if (
+      detail.returns &&
+      normalizeType(signature.returns ?? '') !== normalizeType(other.returns ?? '')
+    ) {
+      problems.push(`${label}: returns ${other.returns}, expected ${signature.returns}`)
+    }
+  })
+  return problems
+}
+
+// Parameter types are included where the artifact has them, formatted with formatText
+function formatParameters(parameters, detail, formatText = formatType) {
+  const names = parameters.map((parameter) => {
+    const type = detail.types ? `: ${formatText(parameter.type ?? '')}` : ''
+    if (parameter.rest) return `...${parameter.name}${type}`
+    return detail.optionality && parameter.optional
+      ? `${parameter.name}?${type}`
+      : `${parameter.name}${type}`
+  })
+  return `(${names.join(', ')})`
+}
+
+checkApiParity().catch((error) => {
+  console.error(error.message)
+  process.exitCode = 1
+})
@@ -1,208 +1,988 @@
 #!/usr/bin/env node
 
-import { mkdir, rm, writeFile } from 'node:fs/promises'
-import { basename, dirname, join } from 'node:path'
+import { existsSync, watch } from 'node:fs'
+import { access, mkdir, readdir, readFile, rm, stat, writeFile } from 'node:fs/promises'
+import { basename, dirname, join, relative, resolve } from 'node:path'
 import { fileURLToPath } from 'node:url'
-import { Project } from 'ts-morph'
+import {
+  ModuleKind,
+  ModuleResolutionKind,
+  Node,
+  Project,
+  ScriptTarget,
+  SyntaxKind,
+  ts,
+  VariableDeclarationKind,
+} from 'ts-morph'
+import { ConfigError, loadConfig } from './cli-config.js'
+import { findServiceReferences, inferScopes } from './cli-scopes.js'
+import { traceStack } from './cli-trace.js'
+import { remapSourceMap } from './source-map.js'
 
 const __filename = fileURLToPath(import.meta.url)
 const __dirname = dirname(__filename)
 
-async function buildProject() {
-  const cwd = process.cwd()
-  const srcDir = join(cwd, 'src')
-  const outputDir = join(cwd, 'dist')
+async function main() {
+  const config = await loadConfig()
+  if (config.command === 'trace') {
+    await printTrace(config)
+    return
+  }
+  if (config.command !== 'build') {
+    throw new ConfigError('command line', [`Unknown command: ${config.command}`])
+  }
 
-  console.log('🔍 Analyzing project structure...')
+  const build = createBuild(config)
+  await buildAll(build)
 
-  // Initialize TypeScript project for user code
-  const userProject = new Project({
-    compilerOptions: {
-      target: 'ES2020',
-      module: 'ESNext',
-      moduleResolution: 'node',
-      allowJs: true,
-      declaration: false,
-      outDir: outputDir,
-    },
-  })
+  if (config.watch) watchProject(build)
+}
+
+/**
+ * Prints a pasted Apps Script stack trace, read from a file or stdin, with the
+ * original TypeScript locations.
+ */
+async function printTrace(config) {
+  const input = config.args[0]
+    ? await readFile(config.args[0], 'utf8')
+    : await readStream(process.stdin)
+  console.log(await traceStack(input, config.mapDirs))
+}
+
+async function readStream(stream) {
+  const chunks = []
+  for await (const chunk of stream) chunks.push(chunk)
+  return Buffer.concat(chunks).toString('utf8')
+}
+
+/**
+ * Returns the state kept between builds: the user project stays in memory so watch
+ * mode only re-parses changed files, and the utility graph is built once.
+ */
+function createBuild(config) {
+  return {
+    config,
+    userProject: new Project({
+      compilerOptions: {
+        target: ScriptTarget.ES2019,
+        module: ModuleKind.None,
+        moduleResolution: ModuleResolutionKind.Node10,
+        allowJs: true,
+        declaration: false,
+        sourceMap: true,
+        outDir: config.outDir,
+      },
+    }),
+    // Import details of each user file, read before the file is flattened
+    userImports: new Map(),
+    utilityGraph: undefined,
+    utilityGlobals: [],
+    utilityServiceReferences: new Map(),
+    scopesReport: undefined,
+    bundleKey: undefined,
+  }
+}
+
+async function buildAll(build) {
+  const { srcDir, outDir: outputDir } = build.config
+
+  console.log('🔍 Analyzing project structure...')
 
   // Add user source files
-  const userFiles = userProject.addSourceFilesAtPaths(`${srcDir}/**/*.ts`)
+  const userFiles = build.userProject.addSourceFilesAtPaths(`${srcDir}/**/*.ts`)
 
   if (userFiles.length === 0) {
-    console.error('❌ No TypeScript files found in src/ directory')
+    console.error(`❌ No TypeScript files found in ${relative(process.cwd(), srcDir)}/`)
     process.exit(1)
   }
 
   // Clean output directory
   await rm(outputDir, { recursive: true, force: true })
-  await mkdir(outputDir, { recursive: true })
   await mkdir(join(outputDir, 'lib'), { recursive: true })
 
   console.log(`📁 Found ${userFiles.length} user files`)
 
-  // Analyze imports to find used utility functions
-  const usedUtilExports = findUsedUtilityExports(userFiles)
-  console.log(
-    `🌳 Tree shaking: found ${usedUtilExports.size} used utilities`,
-    Array.from(usedUtilExports),
-  )
+  // Apps Script has no modules: every file runs in one global scope
+  for (const sourceFile of userFiles) {
+    prepareUserFile(build, sourceFile)
+  }
+
+  await updateUtilsBundle(build)
+  assertNoGlobalCollisions(collectGlobals(userFiles), build.utilityGlobals)
 
   // Build user files (1:1 mapping for perfect debugging)
   console.log('🔨 Building user files with 1:1 mapping...')
   for (const sourceFile of userFiles) {
-    const fileName = basename(sourceFile.getFilePath(), '.ts')
-    const jsContent = convertUserTSToJS(sourceFile)
-    await writeFile(join(outputDir, `${fileName}.js`), jsContent)
+    await writeUserFile(build, sourceFile)
+  }
+
+  await writeManifest(build)
+  await writeFilePushOrder(build)
+
+  console.log(
+    `✅ Build complete! Files generated in ${relative(process.cwd(), outputDir)}/`,
+  )
+  console.log(
+    `📋 Copy the contents of ${relative(process.cwd(), outputDir)}/ to your Google Apps Script project`,
+  )
+}
+
+/**
+ * Rebuilds the changed source files, and the utility bundle only when the set of
+ * imported utilities changed. Unchanged outputs are not rewritten, so
+ * clasp push --watch only sees real changes.
+ */
+async function rebuildFiles(build, changedPaths) {
+  const { srcDir } = build.config
+  const changedFiles = []
+
+  for (const filePath of changedPaths) {
+    if (filePath === join(srcDir, 'appsscript.json')) {
+      build.config = { ...build.config, manifest: (await loadConfig()).manifest }
+      await writeManifest(build)
+      continue
+    }
+    if (!filePath.endsWith('.ts') || filePath.endsWith('.d.ts')) continue
+
+    const existing = build.userProject.getSourceFile(filePath)
+    if (!(await fileExists(filePath))) {
+      if (existing) {
+        build.userProject.removeSourceFile(existing)
+        build.userImports.delete(filePath)
+        await rm(getOutputPath(build, filePath), { force: true })
+        await rm(`${getOutputPath(build, filePath)}.map`, { force: true })
+        console.log(`🗑️  Removed ${relative(srcDir, filePath)}`)
+      }
+      continue
+    }
+
+    const sourceFile = existing ?? build.userProject.addSourceFileAtPath(filePath)
+    if (existing) await sourceFile.refreshFromFileSystem()
+    changedFiles.push(sourceFile)
   }
 
-  // Build tree-shaken utility bundle
-  if (usedUtilExports.size > 0) {
-    console.log('📦 Creating tree-shaken utility bundle...')
-    const utilsBundle = await createTreeShakenUtilsBundle(usedUtilExports)
-    await writeFile(join(outputDir, 'lib', 'gas-utils.js'), utilsBundle)
+  // Every changed file is in the project before imports between them are resolved
+  for (const sourceFile of changedFiles) {
+    prepareUserFile(build, sourceFile)
   }
 
-  // Generate appsscript.json
-  const appsscriptJson = {
-    timeZone: 'America/Chicago',
-    dependencies: {},
-    exceptionLogging: 'STACKDRIVER',
-    runtimeVersion: 'V8',
+  const userFiles = build.userProject.getSourceFiles()
+  await updateUtilsBundle(build)
+  assertNoGlobalCollisions(collectGlobals(userFiles), build.utilityGlobals)
+
+  for (const sourceFile of changedFiles) {
+    if (await writeUserFile(build, sourceFile)) {
+      console.log(`🔨 Rebuilt ${relative(srcDir, sourceFile.getFilePath())}`)
+    }
+  }
+  await writeManifest(build)
+  await writeFilePushOrder(build)
+}
+
+function watchProject(build) {
+  const { srcDir } = build.config
+  const pending = new Set()
+  const watchers = new Map()
+  let timer
+  let running = Promise.resolve()
+
+  console.log(`👀 Watching ${relative(process.cwd(), srcDir)}/ for changes...`)
+
+  const queueChange = (filePath) => {
+    pending.add(filePath)
+
+    // Editors often write a file several times in a row, so wait for a pause
+    clearTimeout(timer)
+    timer = setTimeout(() => {
+      const changedPaths = [...pending]
+      pending.clear()
+      running = running.then(() =>
+        rebuildFiles(build, changedPaths).catch((error) => {
+          console.error('❌ Rebuild failed:', error.message)
+        }),
+      )
+    }, 100)
   }
-  await writeFile(
-    join(outputDir, 'appsscript.json'),
-    JSON.stringify(appsscriptJson, null, 2),
-  )
 
-  console.log('✅ Build complete! Files generated in dist/')
-  console.log('📋 Copy the contents of dist/ to your Google Apps Script project')
+  // Recursive fs.watch needs Node 20 on Linux, so each directory gets its own
+  // watcher, added as directories appear and closed as they go away
+  const watchTree = async (dir, queueFiles) => {
+    if (watchers.has(dir)) return
+    const watcher = watch(dir, (_event, fileName) => {
+      if (!fileName) return
+      const entryPath = join(dir, fileName)
+      queueChange(entryPath)
+      updateTree(entryPath).catch((error) => {
+        console.error('❌ Watch failed:', error.message)
+      })
+    })
+    // A removed directory is handled through its parent's watcher
+    watcher.on('error', () => watcher.close())
+    watchers.set(dir, watcher)
+
+    for (const entry of await readdir(dir, { withFileTypes: true })) {
+      const entryPath = join(dir, entry.name)
+      if (entry.isDirectory()) await watchTree(entryPath, queueFiles)
+      else if (queueFiles) queueChange(entryPath)
+    }
+  }
+
+  const updateTree = async (entryPath) => {
+    if (await isDirectory(entryPath)) {
+      // Files may be written into a new directory before it is watched
+      await watchTree(entryPath, true)
+      return
+    }
+
+    const prefix = join(entryPath, '/')
+    for (const [dir, watcher] of watchers) {
+      if (dir === entryPath || dir.startsWith(prefix)) {
+        watcher.close()
+        watchers.delete(dir)
+      }
+    }
+    // Files of a removed directory are removed from the build one by one
+    for (const sourceFile of build.userProject.getSourceFiles()) {
+      if (sourceFile.getFilePath().startsWith(prefix)) {
+        queueChange(sourceFile.getFilePath())
+      }
+    }
+  }
+
+  watchTree(srcDir, false).catch((error) => {
+    console.error('❌ Watch failed:', error.message)
+  })
 }
 
-function findUsedUtilityExports(userFiles) {
+/**
+ * Records what a user file imports, then flattens it for the global scope.
+ */
+function prepareUserFile(build, sourceFile) {
+  const { librarySpecifiers } = build.config
   const usedExports = new Set()
+  const namespaceNames = new Set()
+  const dependencies = new Set()
+
+  for (const imp of sourceFile.getImportDeclarations()) {
+    // Check if importing from our utility package
+    if (isUtilitySpecifier(imp.getModuleSpecifierValue(), librarySpecifiers)) {
+      for (const namedImport of imp.getNamedImports()) {
+        usedExports.add(namedImport.getName())
+      }
 
-  for (const file of userFiles) {
-    // Find all import declarations
-    const imports = file.getImportDeclarations()
+      // Handle namespace imports (import * as Utils)
+      const namespaceImport = imp.getNamespaceImport()
+      if (namespaceImport) {
+        // If they import everything, we'll need all exports
+        usedExports.add('*')
+        namespaceNames.add(namespaceImport.getText())
+      }
+    } else if (!imp.isTypeOnly()) {
+      dependencies.add(resolveUserImport(build, sourceFile, imp))
+    }
+  }
 
-    for (const imp of imports) {
-      const moduleSpecifier = imp.getModuleSpecifierValue()
+  build.userImports.set(sourceFile.getFilePath(), {
+    usedExports,
+    namespaceNames,
+    dependencies,
+    serviceReferences: findServiceReferences(sourceFile, getAdvancedServices(build)),
+  })
+  flattenUserFile(sourceFile, librarySpecifiers)
+}
 
-      // Check if importing from our utility package
+/**
+ * Returns the user file a relative import resolves to. Flattening removes every
+ * import, so anything else, such as a package that is not a library specifier,
+ * would leave its names undefined in Apps Script. Files are looked up by path,
+ * since flattened files are no longer modules the compiler can resolve.
+ */
+function resolveUserImport(build, sourceFile, imp) {
+  const { srcDir, librarySpecifiers } = build.config
+  const specifier = imp.getModuleSpecifierValue()
+
+  if (specifier.startsWith('.')) {
+    const basePath = resolve(dirname(sourceFile.getFilePath()), specifier).replace(
+      /\.js$/,
+      '',
+    )
+    for (const candidate of [basePath, `${basePath}.ts`, join(basePath, 'index.ts')]) {
       if (
-        moduleSpecifier === '@your-org/gas-utils' ||
-        moduleSpecifier.endsWith('/gas-utils')
+        candidate.endsWith('.ts') &&
+        !candidate.endsWith('.d.ts') &&
+        !relative(srcDir, candidate).startsWith('..') &&
+        build.userProject.getSourceFile(candidate)
       ) {
-        // Get named imports
-        const namedImports = imp.getNamedImports()
-        for (const namedImport of namedImports) {
-          usedExports.add(namedImport.getName())
-        }
-
-        // Handle namespace imports (import * as Utils)
-        const namespaceImport = imp.getNamespaceImport()
-        if (namespaceImport) {
-          // If they import everything, we'll need all exports
-          usedExports.add('*')
-        }
+        return candidate
       }
     }
   }
 
-  return usedExports
+  const filePath = relative(process.cwd(), sourceFile.getFilePath())
+  throw new Error(
+    `${filePath}: cannot bundle import from "${specifier}", which is neither a library specifier (${librarySpecifiers.join(', ')}) nor a source file in ${relative(process.cwd(), srcDir)}`,
+  )
+}
+
+/**
+ * Writes the utility bundle for the utilities imported by all user files, unless
+ * the same set was already bundled.
+ */
+async function updateUtilsBundle(build) {
+  const usedExports = new Set()
+  const namespaceNames = new Set()
+  for (const imports of build.userImports.values()) {
+    for (const name of imports.usedExports) usedExports.add(name)
+    for (const name of imports.namespaceNames) namespaceNames.add(name)
+  }
+
+  const bundleKey = JSON.stringify([
+    [...usedExports].sort(),
+    [...namespaceNames].sort(),
+  ])
+  if (bundleKey === build.bundleKey) return
+  build.bundleKey = bundleKey
+
+  const bundlePath = join(build.config.outDir, 'lib', 'gas-utils.js')
+  console.log(
+    `🌳 Tree shaking: found ${usedExports.size} used utilities`,
+    Array.from(usedExports),
+  )
+
+  if (usedExports.size === 0) {
+    build.utilityGlobals = []
+    build.utilityServiceReferences = new Map()
+    await rm(bundlePath, { force: true })
+    await rm(`${bundlePath}.map`, { force: true })
+    return
+  }
+
+  console.log('📦 Creating tree-shaken utility bundle...')
+  build.utilityGraph ??= loadUtilityGraph()
+  const utilsBundle = createTreeShakenUtilsBundle(
+    build.utilityGraph,
+    usedExports,
+    namespaceNames,
+    bundlePath,
+  )
+  build.utilityGlobals = utilsBundle.globals
+  build.utilityServiceReferences = utilsBundle.serviceReferences
+  await writeIfChanged(`${bundlePath}.map`, JSON.stringify(utilsBundle.map))
+  await writeIfChanged(bundlePath, utilsBundle.code)
+}
+
+async function writeUserFile(build, sourceFile) {
+  const filePath = sourceFile.getFilePath()
+  const outputPath = getOutputPath(build, filePath)
+  const { text, map } = emitJavaScript(build.userProject, sourceFile)
+
+  // Flattening keeps every line in place, so the map only needs its source path
+  const sourceMap = remapSourceMap(
+    map,
+    `${outputPath}.map`,
+    (_source, line, column) => [filePath, line, column],
+  )
+  await writeIfChanged(`${outputPath}.map`, JSON.stringify(sourceMap))
+  return writeIfChanged(outputPath, text)
+}
+
+/**
+ * Returns the output path of a user file, mirroring its place in the source tree.
+ */
+function getOutputPath(build, filePath) {
+  const { srcDir, outDir } = build.config
+  return join(outDir, relative(srcDir, filePath).replace(/\.ts$/, '.js'))
+}
+
+/**
+ * Writes appsscript.json with the narrowest OAuth scopes the user code and the
+ * bundled utilities need, instead of letting Apps Script detect broad ones.
+ */
+async function writeManifest(build) {
+  const { manifest, srcDir } = build.config
+  const references = new Map()
+  for (const [filePath, imports] of build.userImports) {
+    for (const reference of imports.serviceReferences) {
+      if (!references.has(reference))
+        references.set(reference, relative(srcDir, filePath))
+    }
+  }
+  for (const [reference, location] of build.utilityServiceReferences) {
+    if (!references.has(reference)) references.set(reference, location)
+  }
+
+  const scopes = inferScopes(
+    references,
+    getAdvancedServices(build),
+    build.config.scopes,
+  )
+  // Declared scopes stay, since Apps Script no longer detects scopes once
+  // oauthScopes is set and the code may need one the inference missed
+  const denied = build.config.scopes?.deny ?? []
+  const unused = (manifest.oauthScopes ?? []).filter(
+    (scope) => !scopes.has(scope) && !denied.includes(scope),
+  )
+
+  // Only report when the scopes change, so watch mode stays quiet
+  const report = JSON.stringify([[...scopes], unused])
+  if (report !== build.scopesReport) {
+    build.scopesReport = report
+    console.log(`🔐 OAuth scopes: ${scopes.size} inferred`)
+    for (const [scope, reason] of scopes) console.log(`   ${scope}  (${reason})`)
+    for (const scope of unused) {
+      console.warn(
+        `⚠️  Declared scope ${scope} is not used by the code, remove it if it is not needed`,
+      )
+    }
+  }
+
+  const oauthScopes = [...scopes.keys(), ...unused].sort()
+  await writeIfChanged(
+    join(build.config.outDir, 'appsscript.json'),
+    JSON.stringify({ ...manifest, oauthScopes }, null, 2),
+  )
 }
 
-function convertUserTSToJS(sourceFile) {
-  let content = sourceFile.getFullText()
+function getAdvancedServices(build) {
+  return build.config.manifest.dependencies?.enabledAdvancedServices ?? []
+}
 
-  // Replace imports from our utility package to use the bundled version
-  content = content.replace(
-    /import\s*\{([^}]+)\}\s*from\s*['"]@your-org\/gas-utils['"];?/g,
-    'import { $1 } from "./lib/gas-utils.js";',
+/**
+ * Sets filePushOrder in .clasp.json so the utility bundle, and each user file's
+ * imports, load before the files that use them at load time.
+ */
+async function writeFilePushOrder(build) {
+  const claspPath = join(process.cwd(), '.clasp.json')
+  if (!(await fileExists(claspPath))) return
+
+  const { outDir } = build.config
+  const claspConfig = JSON.parse(await readFile(claspPath, 'utf8'))
+  const pushOrder = []
+
+  if (await fileExists(join(outDir, 'lib', 'gas-utils.js'))) {
+    pushOrder.push(join(outDir, 'lib', 'gas-utils.js'))
+  }
+
+  const visited = new Set()
+  const visit = (filePath) => {
+    if (visited.has(filePath) || !build.userImports.has(filePath)) return
+    visited.add(filePath)
+    build.userImports.get(filePath).dependencies.forEach(visit)
+    pushOrder.push(getOutputPath(build, filePath))
+  }
+  ;[...build.userImports.keys()].sort().forEach(visit)
+
+  claspConfig.filePushOrder = pushOrder.map((filePath) =>
+    relative(process.cwd(), filePath),
   )
+  await writeIfChanged(claspPath, `${JSON.stringify(claspConfig, null, 2)}\n`)
+}
+
+/**
+ * Writes a file only if its content changed. Returns true if it was written.
+ */
+async function writeIfChanged(filePath, content) {
+  const current = await readFile(filePath, 'utf8').catch(() => undefined)
+  if (current === content) return false
+
+  await mkdir(dirname(filePath), { recursive: true })
+  await writeFile(filePath, content)
+  return true
+}
+
+async function fileExists(filePath) {
+  try {
+    await access(filePath)
+    return true
+  } catch (_error) {
+    return false
+  }
+}
 
-  content = content.replace(
-    /import\s*\*\s*as\s*(\w+)\s*from\s*['"]@your-org\/gas-utils['"];?/g,
-    'import * as $1 from "./lib/gas-utils.js";',
+async function isDirectory(filePath) {
+  try {
+    return (await stat(filePath)).isDirectory()
+  } catch (_error) {
+    return false
+  }
+}
+
+function isUtilitySpecifier(moduleSpecifier, librarySpecifiers) {
+  return librarySpecifiers.some(
+    (specifier) =>
+      moduleSpecifier === specifier || moduleSpecifier.startsWith(`${specifier}/`),
   )
+}
+
+// Functions Apps Script calls by name, which must stay global function bindings
+const TRIGGER_NAMES = new Set([
+  'onOpen',
+  'onEdit',
+  'onInstall',
+  'onSelectionChange',
+  'doGet',
+  'doPost',
+])
+
+/**
+ * Rewrites a user module as a global-scope script. Imports are removed, since the
+ * utility bundle and the other user files share the global scope; renamed imports
+ * are rewritten to the original names, and utility namespace imports resolve to the
+ * namespace objects generated in the bundle.
+ */
+function flattenUserFile(sourceFile, librarySpecifiers) {
+  const filePath = sourceFile.getFilePath()
+  const edits = []
+
+  for (const imp of sourceFile.getImportDeclarations()) {
+    const moduleSpecifier = imp.getModuleSpecifierValue()
+    if (imp.getDefaultImport()) {
+      throw new Error(`${filePath}: default imports cannot run in Apps Script`)
+    }
+    if (
+      imp.getNamespaceImport() &&
+      !isUtilitySpecifier(moduleSpecifier, librarySpecifiers)
+    ) {
+      throw new Error(
+        `${filePath}: namespace import of ${moduleSpecifier} cannot run in Apps Script, use named imports`,
+      )
+    }
 
-  // Remove TypeScript-specific syntax
-  return convertTSToJS(content)
+    for (const namedImport of imp.getNamedImports()) {
+      const aliasNode = namedImport.getAliasNode()
+      if (aliasNode) edits.push(...getAliasEdits(aliasNode, namedImport.getName()))
+    }
+    edits.push(getRemovalEdit(imp))
+  }
+  edits.push(...sourceFile.getExportDeclarations().map(getRemovalEdit))
+
+  const text = sourceFile.getFullText()
+  const rewritten = edits
+    .sort((a, b) => b.start - a.start)
+    .reduce(
+      (result, edit) =>
+        result.slice(0, edit.start) + edit.text + result.slice(edit.end),
+      text,
+    )
+  sourceFile.replaceWithText(rewritten)
+
+  if (sourceFile.getExportAssignments().length > 0) {
+    throw new Error(`${filePath}: default exports cannot run in Apps Script`)
+  }
+  for (const statement of sourceFile.getStatements()) {
+    if (Node.isExportable(statement) && statement.isExported()) {
+      if (statement.isDefaultExport()) {
+        throw new Error(`${filePath}: default exports cannot run in Apps Script`)
+      }
+      statement.setIsExported(false)
+    }
+
+    // const and let are not global object properties, so triggers must use var
+    if (
+      Node.isVariableStatement(statement) &&
+      statement.getDeclarations().some((d) => TRIGGER_NAMES.has(d.getName()))
+    ) {
+      statement.setDeclarationKind(VariableDeclarationKind.Var)
+    }
+  }
 }
 
-function convertTSToJS(content) {
-  // Remove optional parameter markers (?)
-  content = content.replace(/(\w+)\?(?=\s*[,)}{])/g, '$1')
+/**
+ * Returns an edit that removes a statement but keeps its line breaks, so every
+ * following line stays where it was in the source for source maps.
+ */
+function getRemovalEdit(node) {
+  const lineBreaks = node.getEndLineNumber() - node.getStartLineNumber()
+  return { start: node.getStart(), end: node.getEnd(), text: '\n'.repeat(lineBreaks) }
+}
 
-  // Remove type annotations from function parameters and return types
-  // More precise regex that won't eat opening braces
-  content = content.replace(/:\s*[A-Za-z[\]|<>\s?,'"]+(?=\s*[=,)])/g, '')
-  content = content.replace(/:\s*[A-Za-z[\]|<>\s?,'"]+(?=\s*\{)/g, '')
+function getAliasEdits(aliasNode, name) {
+  return aliasNode
+    .findReferencesAsNodes()
+    .filter((node) => node.getSourceFile() === aliasNode.getSourceFile())
+    .filter((node) => !Node.isImportSpecifier(node.getParent()))
+    .map((node) => {
+      const parent = node.getParent()
+      const text = Node.isShorthandPropertyAssignment(parent)
+        ? `${node.getText()}: ${name}`
+        : name
+      return { start: node.getStart(), end: node.getEnd(), text }
+    })
+}
 
-  // Remove 'as' type assertions
-  content = content.replace(/\s+as\s+[A-Za-z[\]|<>\s]+/g, '')
+/**
+ * Returns the file that declares each top-level runtime name, failing on names
+ * declared by more than one user file.
+ */
+function collectGlobals(userFiles) {
+  const globals = new Map()
 
-  // Remove type aliases (export type ...)
-  content = content.replace(/^export\s+type\s+[^\n]+$/gm, '')
+  for (const sourceFile of userFiles) {
+    const filePath = basename(sourceFile.getFilePath())
+    for (const statement of sourceFile.getStatements()) {
+      if (isTypeOnly(statement)) continue
+      for (const name of getDeclaredNames(statement)) {
+        if (globals.has(name)) {
+          throw new Error(
+            `${name} is declared in both ${globals.get(name)} and ${filePath}, which share the Apps Script global scope`,
+          )
+        }
+        globals.set(name, filePath)
+      }
+    }
+  }
+
+  return globals
+}
 
-  // Remove interface declarations
-  content = content.replace(/^export\s+interface\s+[^}]+}\s*$/gm, '')
+function assertNoGlobalCollisions(userGlobals, utilityGlobals) {
+  const collisions = utilityGlobals.filter((name) => userGlobals.has(name))
+  if (collisions.length > 0) {
+    const details = collisions.map((name) => `${name} (${userGlobals.get(name)})`)
+    throw new Error(
+      `User globals collide with gas-utils globals: ${details.join(', ')}. Rename them.`,
+    )
+  }
+}
 
-  // Remove import statements for types only
-  content = content.replace(/^import\s+type\s+[^\n]+$/gm, '')
+function emitJavaScript(project, sourceFile) {
+  const files = project.emitToMemory({ targetSourceFile: sourceFile }).getFiles()
+  const output = files.find((file) => file.filePath.endsWith('.js'))
+  const map = files.find((file) => file.filePath.endsWith('.js.map'))
 
-  // Remove empty lines that were left by removed type declarations
-  content = content.replace(/^\s*\n/gm, '\n')
+  if (!output || !map) {
+    throw new Error(`TypeScript emitted no JavaScript for ${sourceFile.getFilePath()}`)
+  }
 
-  return content.trim()
+  return { text: output.text, map: JSON.parse(map.text) }
 }
 
-async function createTreeShakenUtilsBundle(usedExports) {
+/**
+ * Parses the utility library once and returns its files in dependency order with
+ * the symbol graph used for tree shaking.
+ */
+function loadUtilityGraph() {
   // Get the path to our utility source files
-  const utilsPackageDir = dirname(__dirname) // Go up from bin/ to package root
-  const utilsSrcDir = join(utilsPackageDir, 'src')
+  // Go up from scripts/ in this repository, or bin/ in the npm package, whose
+  // sources are in src/
+  const utilsPackageDir = dirname(__dirname)
+  const utilsSrcDir = existsSync(join(utilsPackageDir, 'src'))
+    ? join(utilsPackageDir, 'src')
+    : join(utilsPackageDir, 'app')
 
   // Initialize project for utility files
-  const utilsProject = new Project()
-  const utilsSourceFiles = utilsProject.addSourceFilesAtPaths(`${utilsSrcDir}/**/*.ts`)
+  const utilsProject = new Project({
+    compilerOptions: {
+      target: ScriptTarget.ES2019,
+      module: ModuleKind.ESNext,
+      moduleResolution: ModuleResolutionKind.Node10,
+    },
+  })
+  const sourceFiles = orderByDependencies(
+    // The npm package's index.ts only re-exports the other files
+    utilsProject.addSourceFilesAtPaths([`${utilsSrcDir}/**/*.ts`, '!**/index.ts']),
+  )
+
+  return { sourceFiles, graph: createSymbolGraph(sourceFiles) }
+}
+
+function createTreeShakenUtilsBundle(
+  utilityGraph,
+  usedExports,
+  namespaceNames,
+  bundlePath,
+) {
+  const { sourceFiles: utilsSourceFiles, graph } = utilityGraph
+  const included = findReachableSymbols(graph, utilsSourceFiles, usedExports)
 
   const bundleContent = []
   bundleContent.push('// Tree-shaken Google Apps Script utilities')
-  bundleContent.push('// Generated by @your-org/gas-utils')
+  bundleContent.push('// Generated by gas-utils-library')
   bundleContent.push('')
 
-  // If they imported everything (*), include all exports
-  const includeAll = usedExports.has('*')
+  // Where each copied statement starts in the bundle and in its source file
+  const chunks = []
+  let lineCount = 3
 
   for (const sourceFile of utilsSourceFiles) {
-    const functions = sourceFile.getFunctions().filter((f) => f.isExported())
+    const statements = sourceFile.getStatements().filter((s) => included.has(s))
 
-    // Filter to only used exports (unless importing all)
-    const neededFunctions = includeAll
-      ? functions
-      : functions.filter((f) => usedExports.has(f.getName()))
-
-    if (neededFunctions.length > 0) {
+    if (statements.length > 0) {
       bundleContent.push(`// From ${basename(sourceFile.getFilePath())}`)
-
-      // Add functions
-      for (const func of neededFunctions) {
-        const funcText = func.getText()
-        // Convert TS to JS
-        const jsFunc = convertTSToJS(funcText)
-        bundleContent.push(jsFunc)
+      lineCount++
+      for (const statement of statements) {
+        const text = statement.getText(true)
+        const lines = text.split('\n').length
+        chunks.push({
+          line: lineCount,
+          lines,
+          source: sourceFile.getFilePath(),
+          sourceLine:
+            sourceFile.getLineAndColumnAtPos(statement.getStart(true)).line - 1,
+        })
+        bundleContent.push(text)
         bundleContent.push('')
+        lineCount += lines + 1
+      }
+    }
+  }
+
+  const runtimeStatements = [...included.keys()].filter((s) => !isTypeOnly(s))
+  const exportedNames = runtimeStatements
+    .filter((statement) => statement.isExported?.())
+    .flatMap((statement) => graph.get(statement).names)
+
+  // import * as Utils resolves to a namespace object of the library exports
+  for (const namespaceName of namespaceNames) {
+    bundleContent.push(
+      `const ${namespaceName} = Object.freeze({ ${exportedNames.join(', ')} })`,
+    )
+  }
+
+  const bundle = emitBundle(bundleContent.join('\n'))
+  const map = remapSourceMap(
+    bundle.map,
+    `${bundlePath}.map`,
+    (_source, line, column) => {
+      const chunk = chunks.find((c) => line >= c.line && line < c.line + c.lines)
+      return chunk
+        ? [chunk.source, chunk.sourceLine + line - chunk.line, column]
+        : undefined
+    },
+  )
+
+  const serviceReferences = new Map()
+  for (const statement of runtimeStatements) {
+    const location = `gas-utils (${basename(graph.get(statement).sourceFile.getFilePath())})`
+    for (const reference of findServiceReferences(statement)) {
+      if (!serviceReferences.has(reference)) serviceReferences.set(reference, location)
+    }
+  }
+
+  printBundleReport(graph, included, bundle.text)
+  return {
+    code: bundle.text,
+    map,
+    serviceReferences,
+    globals: [
+      ...runtimeStatements.flatMap((statement) => graph.get(statement).names),
+      ...namespaceNames,
+    ],
+  }
+}
+
+/**
+ * Sorts utility files so each file comes after the files it imports, keeping
+ * load-time references such as class heritage and constant initializers valid.
+ */
+function orderByDependencies(sourceFiles) {
+  const ordered = []
+  const visited = new Set()
+
+  const visit = (sourceFile) => {
+    if (visited.has(sourceFile)) return
+    visited.add(sourceFile)
+    for (const imp of sourceFile.getImportDeclarations()) {
+      const imported = imp.getModuleSpecifierSourceFile()
+      if (imported && sourceFiles.includes(imported)) visit(imported)
+    }
+    ordered.push(sourceFile)
+  }
+
+  sourceFiles.forEach(visit)
+  return ordered
+}
+
+/**
+ * Maps every top-level declaration of the utility files to the names it declares
+ * and the other top-level declarations it references.
+ */
+function createSymbolGraph(sourceFiles) {
+  const graph = new Map()
+
+  for (const sourceFile of sourceFiles) {
+    for (const statement of sourceFile.getStatements()) {
+      const names = getDeclaredNames(statement)
+      if (names.length > 0) {
+        graph.set(statement, { names, sourceFile, references: new Set() })
+      }
+    }
+  }
+
+  for (const [statement, node] of graph) {
+    for (const identifier of statement.getDescendantsOfKind(SyntaxKind.Identifier)) {
+      const referenced = resolveTopLevelStatement(identifier)
+      if (referenced && referenced !== statement && graph.has(referenced)) {
+        node.references.add(referenced)
       }
     }
   }
 
-  return bundleContent.join('\n')
+  return graph
+}
+
+function getDeclaredNames(statement) {
+  if (Node.isVariableStatement(statement)) {
+    return statement.getDeclarations().map((declaration) => declaration.getName())
+  }
+  if (
+    Node.isFunctionDeclaration(statement) ||
+    Node.isClassDeclaration(statement) ||
+    Node.isInterfaceDeclaration(statement) ||
+    Node.isTypeAliasDeclaration(statement) ||
+    Node.isEnumDeclaration(statement) ||
+    Node.isModuleDeclaration(statement)
+  ) {
+    const name = statement.getName()
+    return name ? [name] : []
+  }
+  return []
+}
+
+function resolveTopLevelStatement(identifier) {
+  const parent = identifier.getParent()
+  let symbol = Node.isShorthandPropertyAssignment(parent)
+    ? parent.getValueSymbol()
+    : identifier.getSymbol()
+  if (symbol?.isAlias()) symbol = symbol.getAliasedSymbol() ?? symbol
+
+  const declaration = symbol?.getDeclarations()[0]
+  return declaration ? getTopLevelStatement(declaration) : undefined
+}
+
+function getTopLevelStatement(node) {
+  let current = node
+  while (current.getParent() && !Node.isSourceFile(current.getParent())) {
+    current = current.getParent()
+  }
+  return current.getParent() ? current : undefined
+}
+
+/**
+ * Walks the symbol graph from the imported names. Returns each included
+ * declaration with the reason it was included.
+ */
+function findReachableSymbols(graph, sourceFiles, usedExports) {
+  const included = new Map()
+  const exportedNames = new Set()
+
+  for (const sourceFile of sourceFiles) {
+    for (const [name, declarations] of sourceFile.getExportedDeclarations()) {
+      exportedNames.add(name)
+      if (!usedExports.has('*') && !usedExports.has(name)) continue
+
+      const statement = getTopLevelStatement(declarations[0])
+      if (graph.has(statement) && !included.has(statement)) {
+        included.set(statement, 'imported')
+      }
+    }
+  }
+
+  for (const name of usedExports) {
+    if (name !== '*' && !exportedNames.has(name)) {
+      console.warn(`⚠️  ${name} is not exported by the utility library`)
+    }
+  }
+
+  const queue = [...included.keys()]
+  while (queue.length > 0) {
+    const statement = queue.shift()
+    for (const referenced of graph.get(statement).references) {
+      if (included.has(referenced)) continue
+      included.set(referenced, `used by ${graph.get(statement).names.join(', ')}`)
+      queue.push(referenced)
+    }
+  }
+
+  return included
+}
+
+function emitBundle(content) {
+  const bundleProject = new Project({
+    useInMemoryFileSystem: true,
+    compilerOptions: {
+      target: ScriptTarget.ES2019,
+      module: ModuleKind.None,
+      removeComments: false,
+      sourceMap: true,
+    },
+  })
+  const sourceFile = bundleProject.createSourceFile('gas-utils.ts', content)
+
+  // Exported utilities become globals that user files call directly
+  for (const statement of sourceFile.getStatements()) {
+    if (Node.isExportable(statement) && statement.isExported()) {
+      statement.setIsExported(false)
+    }
+  }
+  return emitJavaScript(bundleProject, sourceFile)
+}
+
+/**
+ * Prints each included runtime symbol with its emitted size and why it was
+ * included. Type-only declarations emit no code and are only counted.
+ */
+function printBundleReport(graph, included, bundle) {
+  const rows = []
+  let typeCount = 0
+
+  for (const [statement, reason] of included) {
+    const { names, sourceFile } = graph.get(statement)
+    if (isTypeOnly(statement)) {
+      typeCount++
+      continue
+    }
+
+    const size = ts
+      .transpileModule(statement.getText(), {
+        compilerOptions: { target: ts.ScriptTarget.ES2019 },
+      })
+      .outputText.trim().length
+    rows.push([
+      names.join(', '),
+      basename(sourceFile.getFilePath()),
+      formatBytes(size),
+      reason,
+    ])
+  }
+
+  const runtimeCount = [...graph.keys()].filter(
+    (statement) => !isTypeOnly(statement),
+  ).length
+  console.log(
+    `📊 Bundle report: ${rows.length} of ${runtimeCount} runtime symbols, ${typeCount} types, ${formatBytes(bundle.length)}`,
+  )
+
+  const widths = [0, 1, 2].map((column) =>
+    Math.max(...rows.map((row) => row[column].length)),
+  )
+  for (const row of rows) {
+    const cells = row.map((cell, column) =>
+      column < 3 ? cell.padEnd(widths[column]) : cell,
+    )
+    console.log(`   ${cells.join('  ')}`)
+  }
+}
+
+function isTypeOnly(statement) {
+  return (
+    Node.isTypeAliasDeclaration(statement) ||
+    Node.isInterfaceDeclaration(statement) ||
+    (Node.isFunctionDeclaration(statement) && !statement.hasBody()) ||
+    (Node.isModuleDeclaration(statement) && statement.hasDeclareKeyword()) ||
+    (Node.isEnumDeclaration(statement) && statement.isConstEnum())
+  )
+}
+
+function formatBytes(bytes) {
+  return bytes < 1024 ? `${bytes} B` : `${(bytes / 1024).toFixed(1)} KB`
 }
 
 // Run the build
-buildProject().catch((error) => {
-  console.error('❌ Build failed:', error)
+main().catch((error) => {
+  console.error(
+    '❌ Build failed:',
+    error instanceof ConfigError ? error.message : error,
+  )
   process.exit(1)
 })
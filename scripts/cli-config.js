@@ -0,0 +1,338 @@
+import { access, readFile } from 'node:fs/promises'
+import { basename, join, resolve } from 'node:path'
+import { pathToFileURL } from 'node:url'
+import { parseArgs } from 'node:util'
+
+export const CONFIG_FILE_NAMES = ['gas-utils.config.js', 'gas-utils.config.json']
+
+const DEFAULT_LIBRARY_SPECIFIERS = ['gas-utils-library']
+
+// Fixed rather than the build machine's zone, so a laptop and CI generate the same
+// appsscript.json
+const DEFAULT_TIME_ZONE = 'America/Chicago'
+
+const CONFIG_KEYS = ['srcDir', 'outDir', 'librarySpecifiers', 'manifest', 'scopes']
+
+const CLI_OPTIONS = {
+  config: { type: 'string' },
+  src: { type: 'string' },
+  out: { type: 'string' },
+  library: { type: 'string', multiple: true },
+  'time-zone': { type: 'string' },
+  watch: { type: 'boolean' },
+  maps: { type: 'string', multiple: true },
+}
+
+/**
+ * Thrown for invalid config files and CLI flags, with every problem listed
+ */
+export class ConfigError extends Error {
+  constructor(source, problems) {
+    super(
+      `Invalid ${source}:\n${problems.map((problem) => `  - ${problem}`).join('\n')}`,
+    )
+    this.name = 'ConfigError'
+    this.problems = problems
+  }
+}
+
+/**
+ * Resolves the CLI command and settings from defaults, the config file, the
+ * appsscript.json in the source directory and the CLI flags, in increasing priority.
+ */
+export async function loadConfig(argv = process.argv.slice(2), cwd = process.cwd()) {
+  const { values: flags, positionals } = parseFlags(argv)
+
+  const configPath = flags.config
+    ? resolve(cwd, flags.config)
+    : await findConfigFile(cwd)
+  const fileConfig = configPath ? await readConfigFile(configPath) : {}
+
+  const problems = validateConfig(fileConfig)
+  if (problems.length > 0) throw new ConfigError(basename(configPath), problems)
+
+  const srcDir = resolve(cwd, flags.src ?? fileConfig.srcDir ?? 'src')
+  const outDir = resolve(cwd, flags.out ?? fileConfig.outDir ?? 'dist')
+  const librarySpecifiers =
+    flags.library ?? fileConfig.librarySpecifiers ?? DEFAULT_LIBRARY_SPECIFIERS
+
+  const sourceManifest = await readSourceManifest(srcDir)
+  const manifest = mergeManifests(
+    {
+      timeZone: DEFAULT_TIME_ZONE,
+      dependencies: {},
+      exceptionLogging: 'STACKDRIVER',
+      runtimeVersion: 'V8',
+    },
+    sourceManifest ?? {},
+    fileConfig.manifest ?? {},
+    flags['time-zone'] ? { timeZone: flags['time-zone'] } : {},
+  )
+
+  const manifestProblems = validateManifest(manifest, 'manifest')
+  if (manifestProblems.length > 0) throw new ConfigError('manifest', manifestProblems)
+
+  return {
+    command: positionals[0] ?? 'build',
+    args: positionals.slice(1),
+    watch: flags.watch ?? false,
+    // Extra source map directories for trace, such as dist/gas-lib
+    mapDirs: [outDir, ...(flags.maps ?? []).map((dir) => resolve(cwd, dir))],
+    configPath,
+    srcDir,
+    outDir,
+    librarySpecifiers,
+    manifest,
+    scopes: fileConfig.scopes ?? {},
+  }
+}
+
+function parseFlags(argv) {
+  try {
+    return parseArgs({ args: argv, options: CLI_OPTIONS, allowPositionals: true })
+  } catch (error) {
+    throw new ConfigError('command line', [error.message])
+  }
+}
+
+async function findConfigFile(cwd) {
+  for (const fileName of CONFIG_FILE_NAMES) {
+    const filePath = join(cwd, fileName)
+    if (await fileExists(filePath)) return filePath
+  }
+  return undefined
+}
+
+async function readConfigFile(configPath) {
+  if (configPath.endsWith('.json')) {
+    return readJsonFile(configPath)
+  }
+
+  const module = await import(pathToFileURL(configPath).href)
+  return module.default ?? {}
+}
+
+async function readSourceManifest(srcDir) {
+  const manifestPath = join(srcDir, 'appsscript.json')
+  if (!(await fileExists(manifestPath))) return undefined
+
+  const manifest = await readJsonFile(manifestPath)
+  const problems = validateManifest(manifest, '')
+  if (problems.length > 0) throw new ConfigError(manifestPath, problems)
+  return manifest
+}
+
+async function readJsonFile(filePath) {
+  try {
+    return JSON.parse(await readFile(filePath, 'utf8'))
+  } catch (error) {
+    throw new ConfigError(basename(filePath), [error.message])
+  }
+}
+
+async function fileExists(filePath) {
+  try {
+    await access(filePath)
+    return true
+  } catch (_error) {
+    return false
+  }
+}
+
+/**
+ * Merges manifests left to right. Objects merge by key; advanced services and
+ * libraries merge by userSymbol, and OAuth scopes are combined.
+ */
+export function mergeManifests(...manifests) {
+  return manifests.reduce((merged, manifest) => mergeObjects(merged, manifest), {})
+}
+
+function mergeObjects(target, source) {
+  const result = { ...target }
+
+  for (const [key, value] of Object.entries(source)) {
+    const current = result[key]
+    if (key === 'oauthScopes' && Array.isArray(current) && Array.isArray(value)) {
+      result[key] = [...new Set([...current, ...value])]
+    } else if (
+      (key === 'enabledAdvancedServices' || key === 'libraries') &&
+      Array.isArray(current) &&
+      Array.isArray(value)
+    ) {
+      result[key] = mergeBySymbol(current, value)
+    } else if (isPlainObject(current) && isPlainObject(value)) {
+      result[key] = mergeObjects(current, value)
+    } else {
+      result[key] = value
+    }
+  }
+
+  return result
+}
+
+function mergeBySymbol(current, additions) {
+  const entries = new Map(current.map((entry) => [entry.userSymbol, entry]))
+  for (const entry of additions) {
+    entries.set(entry.userSymbol, { ...entries.get(entry.userSymbol), ...entry })
+  }
+  return [...entries.values()]
+}
+
+/**
+ * Returns a message for each problem in a config file, empty if it is valid.
+ */
+export function validateConfig(config) {
+  if (!isPlainObject(config)) return ['config must be an object']
+
+  const problems = []
+  for (const key of Object.keys(config)) {
+    if (!CONFIG_KEYS.includes(key)) {
+      problems.push(
+        `${key} is not a config option (expected ${CONFIG_KEYS.join(', ')})`,
+      )
+    }
+  }
+
+  checkString(config.srcDir, 'srcDir', problems)
+  checkString(config.outDir, 'outDir', problems)
+  checkStringArray(config.librarySpecifiers, 'librarySpecifiers', problems)
+  if (config.manifest !== undefined) {
+    problems.push(...validateManifest(config.manifest, 'manifest'))
+  }
+  if (config.scopes !== undefined) {
+    if (!isPlainObject(config.scopes)) {
+      problems.push('scopes must be an object with allow and deny lists')
+    } else {
+      for (const key of Object.keys(config.scopes)) {
+        if (key !== 'allow' && key !== 'deny') {
+          problems.push(`scopes.${key} is not a scopes option (expected allow, deny)`)
+        }
+      }
+      checkStringArray(config.scopes.allow, 'scopes.allow', problems)
+      checkStringArray(config.scopes.deny, 'scopes.deny', problems)
+    }
+  }
+
+  return problems
+}
+
+/**
+ * Returns a message for each problem in appsscript.json settings. Keys without
+ * rules here are passed through to the manifest unchecked.
+ */
+export function validateManifest(manifest, path) {
+  const at = (key) => (path ? `${path}.${key}` : key)
+  if (!isPlainObject(manifest)) return [`${path || 'manifest'} must be an object`]
+
+  const problems = []
+  if (manifest.timeZone !== undefined && !isTimeZone(manifest.timeZone)) {
+    problems.push(`${at('timeZone')} must be an IANA time zone such as "Europe/Paris"`)
+  }
+  checkStringArray(manifest.oauthScopes, at('oauthScopes'), problems)
+  checkEnum(
+    manifest.exceptionLogging,
+    at('exceptionLogging'),
+    ['NONE', 'STACKDRIVER'],
+    problems,
+  )
+  checkEnum(
+    manifest.runtimeVersion,
+    at('runtimeVersion'),
+    ['V8', 'DEPRECATED_ES5'],
+    problems,
+  )
+
+  const dependencies = manifest.dependencies
+  if (dependencies !== undefined) {
+    if (!isPlainObject(dependencies)) {
+      problems.push(`${at('dependencies')} must be an object`)
+    } else {
+      checkEntries(
+        dependencies.enabledAdvancedServices,
+        at('dependencies.enabledAdvancedServices'),
+        ['userSymbol', 'serviceId', 'version'],
+        problems,
+      )
+      checkEntries(
+        dependencies.libraries,
+        at('dependencies.libraries'),
+        ['userSymbol', 'libraryId', 'version'],
+        problems,
+      )
+    }
+  }
+
+  const webapp = manifest.webapp
+  if (webapp !== undefined) {
+    if (!isPlainObject(webapp)) {
+      problems.push(`${at('webapp')} must be an object`)
+    } else {
+      checkEnum(
+        webapp.access,
+        at('webapp.access'),
+        ['MYSELF', 'DOMAIN', 'ANYONE', 'ANYONE_ANONYMOUS'],
+        problems,
+      )
+      checkEnum(
+        webapp.executeAs,
+        at('webapp.executeAs'),
+        ['USER_ACCESSING', 'USER_DEPLOYING'],
+        problems,
+      )
+    }
+  }
+
+  if (manifest.addOns !== undefined && !isPlainObject(manifest.addOns)) {
+    problems.push(`${at('addOns')} must be an object`)
+  }
+
+  return problems
+}
+
+function checkString(value, path, problems) {
+  if (value !== undefined && (typeof value !== 'string' || value === '')) {
+    problems.push(`${path} must be a non-empty string`)
+  }
+}
+
+function checkStringArray(value, path, problems) {
+  if (value === undefined) return
+  if (!Array.isArray(value) || value.some((item) => typeof item !== 'string')) {
+    problems.push(`${path} must be an array of strings`)
+  }
+}
+
+function checkEnum(value, path, allowed, problems) {
+  if (value !== undefined && !allowed.includes(value)) {
+    problems.push(`${path} must be one of ${allowed.join(', ')}`)
+  }
+}
+
+function checkEntries(value, path, keys, problems) {
+  if (value === undefined) return
+  if (!Array.isArray(value)) {
+    problems.push(`${path} must be an array`)
+    return
+  }
+  value.forEach((entry, index) => {
+    for (const key of keys) {
+      if (!isPlainObject(entry) || typeof entry[key] !== 'string') {
+        problems.push(`${path}[${index}].${key} must be a string`)
+      }
+    }
+  })
+}
+
+function isTimeZone(value) {
+  if (typeof value !== 'string') return false
+  try {
+    Intl.DateTimeFormat('en-US', { timeZone: value })
+    return true
+  } catch (_error) {
+    return false
+  }
+}
+
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value)
+}
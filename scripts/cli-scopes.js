@@ -0,0 +1,336 @@
+import { Node, SyntaxKind } from 'ts-morph'
+
+const AUTH = 'https://www.googleapis.com/auth'
+
+/**
+ * Scopes needed by each Apps Script service: the scopes of specific members, and a
+ * default for the rest. Members mapped to an empty list need no scope. The readOnly
+ * members get the read-only scopes only when every use of their results is
+ * provably read-only; other uses get the default.
+ */
+const SERVICE_SCOPES = {
+  SpreadsheetApp: {
+    default: [`${AUTH}/spreadsheets.currentonly`],
+    members: {
+      open: [`${AUTH}/spreadsheets`],
+      openById: [`${AUTH}/spreadsheets`],
+      openByUrl: [`${AUTH}/spreadsheets`],
+      create: [`${AUTH}/spreadsheets`],
+      getUi: [`${AUTH}/script.container.ui`],
+    },
+  },
+  DocumentApp: {
+    default: [`${AUTH}/documents.currentonly`],
+    members: {
+      openById: [`${AUTH}/documents`],
+      openByUrl: [`${AUTH}/documents`],
+      create: [`${AUTH}/documents`],
+      getUi: [`${AUTH}/script.container.ui`],
+    },
+  },
+  SlidesApp: {
+    default: [`${AUTH}/presentations.currentonly`],
+    members: {
+      openById: [`${AUTH}/presentations`],
+      openByUrl: [`${AUTH}/presentations`],
+      create: [`${AUTH}/presentations`],
+      getUi: [`${AUTH}/script.container.ui`],
+    },
+  },
+  FormApp: {
+    default: [`${AUTH}/forms.currentonly`],
+    members: {
+      openById: [`${AUTH}/forms`],
+      openByUrl: [`${AUTH}/forms`],
+      create: [`${AUTH}/forms`],
+      getUi: [`${AUTH}/script.container.ui`],
+    },
+  },
+  DriveApp: {
+    default: [`${AUTH}/drive`],
+    members: {},
+    readOnly: {
+      scopes: [`${AUTH}/drive.readonly`],
+      members: [
+        'getFileById',
+        'getFolderById',
+        'getFiles',
+        'getFilesByName',
+        'getFilesByType',
+        'getFolders',
+        'getFoldersByName',
+        'getRootFolder',
+        'getStorageLimit',
+        'getStorageUsed',
+        'searchFiles',
+        'searchFolders',
+      ],
+    },
+  },
+  CalendarApp: {
+    default: [`${AUTH}/calendar`],
+    members: {},
+    readOnly: {
+      scopes: [`${AUTH}/calendar.readonly`],
+      members: [
+        'getAllCalendars',
+        'getCalendarById',
+        'getCalendarsByName',
+        'getDefaultCalendar',
+        'getEventById',
+        'getEvents',
+        'getEventsForDay',
+      ],
+    },
+  },
+  GmailApp: { default: ['https://mail.google.com/'], members: {} },
+  MailApp: { default: [`${AUTH}/script.send_mail`], members: {} },
+  UrlFetchApp: { default: [`${AUTH}/script.external_request`], members: {} },
+  ScriptApp: {
+    default: [],
+    members: {
+      newTrigger: [`${AUTH}/script.scriptapp`],
+      getProjectTriggers: [`${AUTH}/script.scriptapp`],
+      getUserTriggers: [`${AUTH}/script.scriptapp`],
+      deleteTrigger: [`${AUTH}/script.scriptapp`],
+    },
+  },
+  Session: {
+    default: [],
+    members: {
+      getActiveUser: [`${AUTH}/userinfo.email`],
+      getEffectiveUser: [`${AUTH}/userinfo.email`],
+    },
+  },
+}
+
+/**
+ * Scopes of the advanced services, by the serviceId used in appsscript.json
+ */
+const ADVANCED_SERVICE_SCOPES = {
+  drive: [`${AUTH}/drive`],
+  sheets: [`${AUTH}/spreadsheets`],
+  docs: [`${AUTH}/documents`],
+  slides: [`${AUTH}/presentations`],
+  calendar: [`${AUTH}/calendar`],
+  gmail: ['https://mail.google.com/'],
+}
+
+// Marks a reference to a readOnly member whose results are only read
+const READ_ONLY_SUFFIX = ' (read-only)'
+
+// Accessors of Drive and Calendar objects that return other Drive or Calendar
+// objects, whose own uses must be read-only too. Other accessors return plain data.
+const OBJECT_ACCESSORS = new Set([
+  'getAllCalendars',
+  'getAllOwnedCalendars',
+  'getCalendarById',
+  'getCalendarsByName',
+  'getDefaultCalendar',
+  'getEventById',
+  'getEventSeries',
+  'getEventSeriesById',
+  'getEvents',
+  'getEventsForDay',
+  'getFileById',
+  'getFiles',
+  'getFilesByName',
+  'getFilesByType',
+  'getFolderById',
+  'getFolders',
+  'getFoldersByName',
+  'getOwnedCalendarById',
+  'getOwnedCalendarsByName',
+  'getParents',
+  'getRootFolder',
+  'next',
+  'searchFiles',
+  'searchFolders',
+])
+
+// Scopes that grant everything the listed narrower scopes do
+const BROADER_SCOPES = {
+  [`${AUTH}/spreadsheets`]: [
+    `${AUTH}/spreadsheets.currentonly`,
+    `${AUTH}/spreadsheets.readonly`,
+  ],
+  [`${AUTH}/documents`]: [
+    `${AUTH}/documents.currentonly`,
+    `${AUTH}/documents.readonly`,
+  ],
+  [`${AUTH}/presentations`]: [
+    `${AUTH}/presentations.currentonly`,
+    `${AUTH}/presentations.readonly`,
+  ],
+  [`${AUTH}/forms`]: [`${AUTH}/forms.currentonly`],
+  [`${AUTH}/drive`]: [`${AUTH}/drive.readonly`, `${AUTH}/drive.file`],
+  [`${AUTH}/calendar`]: [`${AUTH}/calendar.readonly`],
+  'https://mail.google.com/': [
+    `${AUTH}/gmail.readonly`,
+    `${AUTH}/gmail.modify`,
+    `${AUTH}/gmail.send`,
+  ],
+}
+
+/**
+ * Returns each Apps Script service member a node references, such as
+ * "SpreadsheetApp.openById", and bare service references such as "UrlFetchApp".
+ * Advanced services are matched by the userSymbols enabled in the manifest.
+ */
+export function findServiceReferences(node, advancedServices = []) {
+  const symbols = new Set(advancedServices.map((service) => service.userSymbol))
+  const references = new Set()
+
+  for (const identifier of node.getDescendantsOfKind(SyntaxKind.Identifier)) {
+    const name = identifier.getText()
+    if (!Object.hasOwn(SERVICE_SCOPES, name) && !symbols.has(name)) continue
+
+    const parent = identifier.getParent()
+    if (Node.isPropertyAccessExpression(parent)) {
+      // Property names such as init.UrlFetchApp are not service references
+      if (parent.getExpression() === identifier) {
+        const reference = `${name}.${parent.getName()}`
+        const readOnly =
+          !symbols.has(name) &&
+          SERVICE_SCOPES[name].readOnly?.members.includes(parent.getName()) &&
+          isReadOnlyCall(parent)
+        references.add(readOnly ? `${reference}${READ_ONLY_SUFFIX}` : reference)
+      }
+    } else if (
+      !Node.isTypeReference(parent) &&
+      !Node.isTypeQuery(parent) &&
+      !isDeclarationName(identifier)
+    ) {
+      references.add(name)
+    }
+  }
+
+  return references
+}
+
+/**
+ * Returns whether a service member is called and everything done with the result
+ * only reads: calling get, has, is and search accessors, looping over it, or storing
+ * it in variables used the same way. Passing the result to other code, or any other
+ * use, cannot be proven read-only.
+ */
+function isReadOnlyCall(memberAccess) {
+  const call = memberAccess.getParent()
+  return (
+    Node.isCallExpression(call) &&
+    call.getExpression() === memberAccess &&
+    (!OBJECT_ACCESSORS.has(memberAccess.getName()) || isReadOnlyValue(call))
+  )
+}
+
+function isReadOnlyValue(expression) {
+  const parent = expression.getParent()
+
+  if (Node.isParenthesizedExpression(parent)) return isReadOnlyValue(parent)
+  if (Node.isExpressionStatement(parent)) return true
+  if (Node.isElementAccessExpression(parent)) {
+    return parent.getExpression() === expression && isReadOnlyValue(parent)
+  }
+  if (Node.isVariableDeclaration(parent)) {
+    return isReadOnlyBinding(parent.getNameNode())
+  }
+  if (Node.isForOfStatement(parent) && parent.getExpression() === expression) {
+    const [declaration] = parent
+      .getInitializer()
+      .getDescendantsOfKind(SyntaxKind.VariableDeclaration)
+    return declaration !== undefined && isReadOnlyBinding(declaration.getNameNode())
+  }
+  if (
+    !Node.isPropertyAccessExpression(parent) ||
+    parent.getExpression() !== expression
+  ) {
+    return false
+  }
+
+  const member = parent.getName()
+  if (member === 'length') return true
+
+  const call = parent.getParent()
+  if (!Node.isCallExpression(call) || call.getExpression() !== parent) return false
+  if (member === 'forEach') {
+    const [callback] = call.getArguments()
+    const [parameter] =
+      Node.isArrowFunction(callback) || Node.isFunctionExpression(callback)
+        ? callback.getParameters()
+        : []
+    return parameter !== undefined && isReadOnlyBinding(parameter.getNameNode())
+  }
+  if (!/^(?:get|has|is|search)[A-Z]|^next$/.test(member)) return false
+  return !OBJECT_ACCESSORS.has(member) || isReadOnlyValue(call)
+}
+
+function isReadOnlyBinding(nameNode) {
+  if (!Node.isIdentifier(nameNode)) return false
+
+  return nameNode.findReferencesAsNodes().every((reference) => {
+    if (reference === nameNode) return true
+    const parent = reference.getParent()
+    // Assigning another value to the variable does not use this one
+    if (
+      Node.isBinaryExpression(parent) &&
+      parent.getLeft() === reference &&
+      parent.getOperatorToken().getKind() === SyntaxKind.EqualsToken
+    ) {
+      return true
+    }
+    return isReadOnlyValue(reference)
+  })
+}
+
+function isDeclarationName(identifier) {
+  const parent = identifier.getParent()
+  return (
+    (Node.isVariableDeclaration(parent) ||
+      Node.isFunctionDeclaration(parent) ||
+      Node.isParameterDeclaration(parent) ||
+      Node.isPropertySignature(parent)) &&
+    parent.getNameNode() === identifier
+  )
+}
+
+/**
+ * Returns the narrowest scopes for the service references, with the first
+ * reference that needed each scope, after applying the allow and deny lists.
+ */
+export function inferScopes(references, advancedServices = [], overrides = {}) {
+  const reasons = new Map()
+  const addScope = (scope, reason) => {
+    if (!reasons.has(scope)) reasons.set(scope, reason)
+  }
+
+  for (const [reference, location] of references) {
+    const scopes = getReferenceScopes(reference, advancedServices)
+    for (const scope of scopes) addScope(scope, `${reference} in ${location}`)
+  }
+
+  for (const scope of overrides.allow ?? []) addScope(scope, 'allowed in config')
+  for (const scope of overrides.deny ?? []) reasons.delete(scope)
+
+  for (const [broader, narrower] of Object.entries(BROADER_SCOPES)) {
+    if (reasons.has(broader)) {
+      for (const scope of narrower) reasons.delete(scope)
+    }
+  }
+
+  return new Map([...reasons].sort(([a], [b]) => a.localeCompare(b)))
+}
+
+function getReferenceScopes(reference, advancedServices) {
+  const [service, member] = reference.replace(READ_ONLY_SUFFIX, '').split('.')
+
+  const advanced = advancedServices.find((entry) => entry.userSymbol === service)
+  if (advanced) {
+    return Object.hasOwn(ADVANCED_SERVICE_SCOPES, advanced.serviceId)
+      ? ADVANCED_SERVICE_SCOPES[advanced.serviceId]
+      : []
+  }
+
+  const { default: defaultScopes, members, readOnly } = SERVICE_SCOPES[service]
+  if (reference.endsWith(READ_ONLY_SUFFIX)) return readOnly.scopes
+  return member && Object.hasOwn(members, member) ? members[member] : defaultScopes
+}
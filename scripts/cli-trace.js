@@ -0,0 +1,137 @@
+import { readFile } from 'node:fs/promises'
+import { dirname, join, relative, resolve } from 'node:path'
+import { Node, Project } from 'ts-morph'
+import { findOriginalPosition } from './source-map.js'
+
+// "at name (file:line:column)", where Apps Script names files without extension
+const NAMED_FRAME_PATTERN = /^(\s*at\s+)(.+?)\s+\(([^()\s]+?):(\d+)(?::(\d+))?\)\s*$/
+// "at file:line:column" for anonymous functions and top-level code
+const ANONYMOUS_FRAME_PATTERN = /^(\s*at\s+)([^()\s]+?):(\d+)(?::(\d+))?\s*$/
+// "at file:line (name)" as printed by the Rhino runtime and some logs
+const LEGACY_FRAME_PATTERN = /^(\s*at\s+)([^()\s]+?):(\d+)\s+\((.+)\)\s*$/
+
+/**
+ * Rewrites the frames of an Apps Script stack trace to the original TypeScript
+ * files, lines and function names, using the source maps found in mapDirs. Lines
+ * that cannot be mapped are kept as they are.
+ */
+export async function traceStack(text, mapDirs) {
+  const context = { mapDirs, maps: new Map(), project: new Project() }
+  const lines = []
+
+  for (const line of text.split('\n')) {
+    lines.push((await traceFrame(context, line)) ?? line)
+  }
+
+  return lines.join('\n')
+}
+
+async function traceFrame(context, line) {
+  const frame = parseFrame(line)
+  if (!frame) return undefined
+
+  const found = await findSourceMap(context, frame.file)
+  if (!found) return undefined
+
+  const position = findOriginalPosition(found.map, frame.line, frame.column)
+  if (!position) return undefined
+
+  const sourcePath = resolve(dirname(found.mapPath), position.source)
+  const name =
+    findFunctionName(context, sourcePath, position.line, position.column) ?? frame.name
+  const location = `${relative(process.cwd(), sourcePath)}:${position.line}:${position.column}`
+
+  return name ? `${frame.indent}${name} (${location})` : `${frame.indent}${location}`
+}
+
+function parseFrame(line) {
+  const named = NAMED_FRAME_PATTERN.exec(line)
+  if (named) {
+    const [, indent, name, file, lineNumber, column] = named
+    return { indent, name, file, line: Number(lineNumber), column: toColumn(column) }
+  }
+
+  const legacy = LEGACY_FRAME_PATTERN.exec(line)
+  if (legacy) {
+    const [, indent, file, lineNumber, name] = legacy
+    return { indent, name, file, line: Number(lineNumber), column: undefined }
+  }
+
+  const anonymous = ANONYMOUS_FRAME_PATTERN.exec(line)
+  if (anonymous) {
+    const [, indent, file, lineNumber, column] = anonymous
+    return { indent, file, line: Number(lineNumber), column: toColumn(column) }
+  }
+
+  return undefined
+}
+
+function toColumn(column) {
+  return column === undefined ? undefined : Number(column)
+}
+
+async function findSourceMap(context, file) {
+  const name = file.replace(/\.(gs|js)$/, '')
+  if (context.maps.has(name)) return context.maps.get(name)
+
+  let found
+  for (const mapDir of context.mapDirs) {
+    const mapPath = join(mapDir, `${name}.js.map`)
+    const text = await readFile(mapPath, 'utf8').catch(() => undefined)
+    if (text) {
+      found = { mapPath, map: JSON.parse(text) }
+      break
+    }
+  }
+
+  context.maps.set(name, found)
+  return found
+}
+
+/**
+ * Returns the name of the innermost function around a one-based source position,
+ * such as "toDate", "Headers.append" or "new Headers".
+ */
+function findFunctionName(context, sourcePath, line, column) {
+  let sourceFile = context.project.getSourceFile(sourcePath)
+  if (!sourceFile) {
+    try {
+      sourceFile = context.project.addSourceFileAtPath(sourcePath)
+    } catch (_error) {
+      return undefined
+    }
+  }
+
+  const lineStarts = sourceFile.compilerNode.getLineStarts()
+  if (line > lineStarts.length) return undefined
+  const position = Math.min(lineStarts[line - 1] + column - 1, sourceFile.getEnd())
+
+  let node = sourceFile.getDescendantAtPos(position)
+  while (node && !Node.isSourceFile(node)) {
+    const name = getFunctionName(node)
+    if (name) return name
+    node = node.getParent()
+  }
+  return undefined
+}
+
+function getFunctionName(node) {
+  if (Node.isFunctionDeclaration(node)) return node.getName() ?? 'default'
+  if (Node.isMethodDeclaration(node) || Node.isGetAccessorDeclaration(node)) {
+    const parent = node.getParent()
+    const className = Node.isClassLikeDeclarationBase(parent)
+      ? parent.getName()
+      : undefined
+    return className ? `${className}.${node.getName()}` : node.getName()
+  }
+  if (Node.isConstructorDeclaration(node)) {
+    return `new ${node.getParent().getName()}`
+  }
+  if (Node.isArrowFunction(node) || Node.isFunctionExpression(node)) {
+    const parent = node.getParent()
+    if (Node.isVariableDeclaration(parent) || Node.isPropertyAssignment(parent)) {
+      return parent.getName()
+    }
+  }
+  return undefined
+}
@@ -0,0 +1,147 @@
+// Compiled by build-npm-types against dist/npm-types/index.d.ts. Each statement
+// uses the library the way an Apps Script project that adds it as Utils would.
+
+function convertValues(cell: Lib.Utils.DateValue): string {
+  const date: Date | undefined = Utils.toDate(cell, undefined, {
+    serial: true,
+    timeZone: 'Europe/Paris',
+  })
+  const strict: Date = Utils.toDateStrict(cell)
+  const numbers: number[] = Utils.toArrayStrict<number>([1, 2])
+  const ids: number[] = Utils.toArrayStrict('4, 5', undefined, Utils.toNumber)
+  const json = Utils.toJson<{ id: number }>('{"id":1}')
+  const id: number | undefined = json?.id
+
+  return `${date?.toISOString()} ${strict.getTime()} ${numbers.length} ${ids.length} ${id}`
+}
+
+function guardValues(value: unknown): number {
+  if (Utils.isArrayOf(value, Utils.isNumber)) {
+    const numbers: number[] = value
+    return numbers.length
+  }
+  return Utils.isDate(value) ? value.getTime() : 0
+}
+
+function validatePayload(payload: unknown): string {
+  const schema = Utils.objectSchema({
+    name: Utils.stringSchema(),
+    count: Utils.optionalSchema(Utils.integerSchema(), 0),
+  })
+  const result: Lib.Utils.SchemaResult<Lib.Utils.InferSchema<typeof schema>> =
+    Utils.validateSchema(schema, payload)
+
+  return result.ok ? `${result.value.name}: ${result.value.count}` : ''
+}
+
+function readRows(values: unknown[][]): unknown[][] {
+  const columns = {
+    name: { header: 'Full name', aliases: ['Name'], schema: Utils.stringSchema() },
+    start: { schema: Utils.optionalSchema(Utils.dateSchema()) },
+  }
+  const table = Utils.readTable(values, columns, { firstRow: 2 })
+  const errors: Lib.Utils.TableError[] = table.errors
+  const records: { name: string; start?: Date }[] = table.records
+
+  return errors.length > 0 ? [] : Utils.writeTable(records, columns, table.headers)
+}
+
+function nextBlock(notation: string): string {
+  const range: Lib.Utils.A1Range | undefined = Utils.parseA1(notation)
+  if (!range) return ''
+  const moved = Utils.resizeRange(Utils.offsetRange(range, 1), 5)
+  const column: string | undefined = Utils.columnToLetters(moved.startColumn ?? 1)
+
+  return `${Utils.formatA1(moved)} ${column} ${Utils.a1ToR1C1(notation, { row: 1, column: 1 })}`
+}
+
+function cachedLookup(store: Lib.Utils.CacheStore): Date | undefined {
+  const cache = new Utils.TypedCache({ namespace: 'orders', store })
+  cache.put('updated', new Date(), 60)
+  const lookup = Utils.memoize((id: number) => ({ id, at: new Date() }), {
+    namespace: 'orders:lookup',
+    ttl: 300,
+    keyFn: (id) => String(id),
+  })
+
+  return cache.get<Date>('updated') ?? lookup(1).at
+}
+
+function loadSettings(): string {
+  const config = new Utils.ConfigStore(
+    {
+      apiUrl: { schema: Utils.stringSchema(), required: true },
+      batchSize: { schema: Utils.integerSchema(), default: 50, previousKeys: ['size'] },
+      token: { schema: Utils.stringSchema(), secret: true },
+    },
+    { scope: 'user', namespace: 'sync' },
+  )
+  const report: Lib.Utils.ConfigReport = config.validate()
+  if (!report.ok) return report.issues.map((issue) => issue.key).join(', ')
+  config.set('batchSize', 100)
+  const { apiUrl, batchSize, token } = config.getAll()
+  const missing: string | undefined = token
+
+  return `${apiUrl.length + batchSize} ${missing ?? config.get('apiUrl')}`
+}
+
+function archiveRows(sheet: GoogleAppsScript.Spreadsheet.Sheet): number {
+  const progress: Lib.Utils.BatchProgress<{ archived: number }> = Utils.runBatch({
+    name: 'archive',
+    handler: 'archiveRows',
+    items: (start, count) => sheet.getRange(start + 2, 1, count, 3).getValues(),
+    process: (rows, { state }) => ({ archived: state.archived + rows.length }),
+    initialState: { archived: 0 },
+    onProgress: ({ processed, total }) => console.log(`${processed} of ${total}`),
+  })
+  if (progress.status === 'done') Utils.resetBatch('archive')
+
+  return progress.state.archived
+}
+
+function sendRequest(): Lib.Utils.Response {
+  const headers: Lib.Utils.Headers = new Utils.Headers({ accept: 'application/json' })
+  headers.append('x-trace', '1')
+  const entries: [string, string][] = [...headers.entries()]
+
+  // @ts-expect-error header storage is private to the library
+  headers.map.clear()
+
+  const request = new Utils.Request('https://example.com', {
+    method: 'POST',
+    headers,
+    body: JSON.stringify(entries),
+  })
+  return Utils.fetchWithRetry(request, undefined, { retries: 2 })
+}
+
+function readResponse(response: Lib.Utils.Response): string {
+  if (!response.ok) throw new Utils.HttpError(response, 'GET')
+  const type: Lib.Utils.ContentType | undefined = Utils.parseContentType(
+    response.headers.get('content-type') ?? '',
+  )
+  const pdf: 'application/pdf' = Utils.MIME_TYPES.PDF
+  const folder: string = Utils.MIME_TYPE_ENUM.FOLDER
+
+  return `${type?.essence} ${pdf} ${folder} ${response.json<{ ok: boolean }>().ok}`
+}
+
+const library: Lib.Utils.Utils = Utils
+library.getMimeType('report.pdf')
+
+// @ts-expect-error module-private helpers are not part of the library
+Utils.normalizeHeaderName('accept')
+
+// Exported only so the functions count as used
+export {
+  archiveRows,
+  cachedLookup,
+  convertValues,
+  guardValues,
+  loadSettings,
+  nextBlock,
+  readResponse,
+  readRows,
+  sendRequest,
+  validatePayload,
+}
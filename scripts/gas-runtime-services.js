@@ -0,0 +1,564 @@
+import { createHash, createHmac, randomUUID } from 'node:crypto'
+
+const DIGEST_ALGORITHMS = {
+  MD5: 'md5',
+  SHA_1: 'sha1',
+  SHA_256: 'sha256',
+  SHA_384: 'sha384',
+  SHA_512: 'sha512',
+}
+
+const CACHE_MAX_KEY_LENGTH = 250
+const CACHE_MAX_VALUE_BYTES = 100 * 1024
+const CACHE_MAX_EXPIRATION_SECONDS = 21600
+const CACHE_DEFAULT_EXPIRATION_SECONDS = 600
+
+/**
+ * Creates in-memory fakes of the Apps Script services, keyed by their global name.
+ * Services share the runtime clock, so Utilities.sleep and cache expiration follow
+ * the same virtual time.
+ */
+export function createServices({ clock, timeZone = 'UTC', email = '', fetch, echo }) {
+  const logs = []
+
+  return {
+    Logger: createLogger(logs, echo),
+    console: createConsole(logs, echo),
+    Utilities: createUtilities(clock),
+    Session: createSession(timeZone, email),
+    PropertiesService: createPropertiesService(),
+    CacheService: createCacheService(clock),
+    LockService: createLockService(clock),
+    UrlFetchApp: createUrlFetchApp(fetch),
+  }
+}
+
+function createLogger(logs, echo) {
+  let lines = []
+
+  return {
+    log(data, ...values) {
+      let index = 0
+      const message =
+        values.length > 0
+          ? String(data).replace(/%s/g, () => formatLogValue(values[index++]))
+          : formatLogValue(data)
+      lines.push(message)
+      logs.push({ level: 'log', message })
+      if (echo) process.stdout.write(`${message}\n`)
+      return this
+    },
+    getLog() {
+      return lines.join('\n')
+    },
+    clear() {
+      lines = []
+    },
+  }
+}
+
+function createConsole(logs, echo) {
+  const write =
+    (level) =>
+    (...values) => {
+      const message = values.map(formatLogValue).join(' ')
+      logs.push({ level, message })
+      if (echo) process.stdout.write(`${message}\n`)
+    }
+
+  return {
+    log: write('log'),
+    info: write('info'),
+    warn: write('warn'),
+    error: write('error'),
+    // Every message written through Logger or console, in order
+    get entries() {
+      return logs
+    },
+  }
+}
+
+function formatLogValue(value) {
+  if (typeof value === 'string') return value
+  if (
+    value instanceof Error ||
+    Object.prototype.toString.call(value) === '[object Error]'
+  )
+    return String(value)
+  if (typeof value === 'object' && value !== null) {
+    try {
+      return JSON.stringify(value)
+    } catch (_error) {
+      return String(value)
+    }
+  }
+  return String(value)
+}
+
+function createUtilities(clock) {
+  return {
+    Charset: { US_ASCII: 'US_ASCII', UTF_8: 'UTF_8' },
+    DigestAlgorithm: Object.fromEntries(
+      Object.keys(DIGEST_ALGORITHMS).map((name) => [name, name]),
+    ),
+    // Advances virtual time instead of blocking
+    sleep(milliseconds) {
+      clock.advance(Number(milliseconds))
+    },
+    formatDate(date, timeZone, format) {
+      return formatDate(date, timeZone, format)
+    },
+    base64Encode(data, charset) {
+      return toBuffer(data, charset).toString('base64')
+    },
+    base64EncodeWebSafe(data, charset) {
+      return toBuffer(data, charset)
+        .toString('base64')
+        .replace(/\+/g, '-')
+        .replace(/\//g, '_')
+    },
+    base64Decode(encoded) {
+      return toSignedBytes(Buffer.from(String(encoded), 'base64'))
+    },
+    base64DecodeWebSafe(encoded) {
+      return toSignedBytes(Buffer.from(String(encoded), 'base64url'))
+    },
+    computeDigest(algorithm, value, charset) {
+      const name = DIGEST_ALGORITHMS[algorithm]
+      if (!name) throw new Error(`Unsupported digest algorithm: ${algorithm}`)
+      return toSignedBytes(createHash(name).update(toBuffer(value, charset)).digest())
+    },
+    computeHmacSha256Signature(value, key, charset) {
+      return toSignedBytes(
+        createHmac('sha256', toBuffer(key, charset))
+          .update(toBuffer(value, charset))
+          .digest(),
+      )
+    },
+    getUuid() {
+      return randomUUID()
+    },
+    newBlob(data, contentType, name) {
+      return createBlob(toBuffer(data ?? ''), contentType ?? null, name ?? null)
+    },
+  }
+}
+
+function toBuffer(value, charset) {
+  if (Array.isArray(value)) return Buffer.from(value.map((byte) => byte & 255))
+  return Buffer.from(String(value), charset === 'US_ASCII' ? 'latin1' : 'utf8')
+}
+
+// Apps Script byte arrays hold signed Java bytes
+function toSignedBytes(buffer) {
+  return Array.from(buffer, (byte) => (byte > 127 ? byte - 256 : byte))
+}
+
+function createBlob(buffer, contentType, name) {
+  let type = contentType
+  let blobName = name
+
+  return {
+    getBytes: () => toSignedBytes(buffer),
+    getDataAsString: (charset) =>
+      buffer.toString(charset === 'US_ASCII' ? 'latin1' : 'utf8'),
+    getContentType: () => type,
+    setContentType(value) {
+      type = value
+      return this
+    },
+    getName: () => blobName,
+    setName(value) {
+      blobName = value
+      return this
+    },
+    copyBlob: () => createBlob(Buffer.from(buffer), type, blobName),
+    isGoogleType: () => false,
+  }
+}
+
+/**
+ * Formats a date like Utilities.formatDate, with the Java SimpleDateFormat letters
+ * y, M, d, H, h, k, m, s, S, E, a, u, Z and X and quoted literals.
+ */
+export function formatDate(date, timeZone, format) {
+  const parts = getZonedParts(date, timeZone)
+  let result = ''
+
+  for (let index = 0; index < format.length; ) {
+    const character = format[index]
+
+    if (character === "'") {
+      const end = format.indexOf("'", index + 1)
+      if (end === -1) throw new Error(`Unterminated quote in pattern: ${format}`)
+      result += end === index + 1 ? "'" : format.slice(index + 1, end)
+      index = end + 1
+      continue
+    }
+
+    if (!/[A-Za-z]/.test(character)) {
+      result += character
+      index++
+      continue
+    }
+
+    let length = 1
+    while (format[index + length] === character) length++
+    result += formatField(character, length, parts)
+    index += length
+  }
+
+  return result
+}
+
+function formatField(letter, length, parts) {
+  const pad = (value) => String(value).padStart(length, '0')
+
+  switch (letter) {
+    case 'y':
+      return length === 2 ? String(parts.year).slice(-2) : pad(parts.year)
+    case 'M':
+      if (length >= 4) return parts.monthLong
+      if (length === 3) return parts.monthShort
+      return pad(parts.month)
+    case 'd':
+      return pad(parts.day)
+    case 'H':
+      return pad(parts.hour)
+    case 'k':
+      return pad(parts.hour === 0 ? 24 : parts.hour)
+    case 'h':
+      return pad(parts.hour % 12 === 0 ? 12 : parts.hour % 12)
+    case 'm':
+      return pad(parts.minute)
+    case 's':
+      return pad(parts.second)
+    case 'S':
+      return pad(parts.millisecond)
+    case 'E':
+      return length >= 4 ? parts.weekdayLong : parts.weekdayShort
+    case 'u':
+      return pad(parts.weekday === 0 ? 7 : parts.weekday)
+    case 'a':
+      return parts.hour < 12 ? 'AM' : 'PM'
+    case 'Z':
+      return formatOffset(parts.offset, '')
+    case 'X':
+      if (parts.offset === 0) return 'Z'
+      return length === 1
+        ? formatOffset(parts.offset, '').slice(0, 3)
+        : formatOffset(parts.offset, length >= 3 ? ':' : '')
+    default:
+      throw new Error(`Illegal pattern character '${letter}'`)
+  }
+}
+
+function formatOffset(offsetMinutes, separator) {
+  const sign = offsetMinutes < 0 ? '-' : '+'
+  const absolute = Math.abs(offsetMinutes)
+  const hours = String(Math.floor(absolute / 60)).padStart(2, '0')
+  const minutes = String(absolute % 60).padStart(2, '0')
+  return `${sign}${hours}${separator}${minutes}`
+}
+
+function getZonedParts(date, timeZone) {
+  const time = date.getTime()
+  const values = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric',
+      weekday: 'short',
+    })
+      .formatToParts(time)
+      .map((part) => [part.type, part.value]),
+  )
+  const name = (options) =>
+    new Intl.DateTimeFormat('en-US', { timeZone, ...options }).format(time)
+
+  const year = Number(values.year)
+  const month = Number(values.month)
+  const day = Number(values.day)
+  const hour = Number(values.hour)
+  const minute = Number(values.minute)
+  const second = Number(values.second)
+  const millisecond = ((time % 1000) + 1000) % 1000
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute, second, millisecond)
+
+  return {
+    year,
+    month,
+    day,
+    hour,
+    minute,
+    second,
+    millisecond,
+    weekday: new Date(wallClock).getUTCDay(),
+    weekdayShort: name({ weekday: 'short' }),
+    weekdayLong: name({ weekday: 'long' }),
+    monthShort: name({ month: 'short' }),
+    monthLong: name({ month: 'long' }),
+    offset: Math.round((wallClock - time) / 60000),
+  }
+}
+
+function createSession(timeZone, email) {
+  const user = { getEmail: () => email }
+  return {
+    getScriptTimeZone: () => timeZone,
+    getActiveUser: () => user,
+    getEffectiveUser: () => user,
+  }
+}
+
+function createPropertiesService() {
+  const stores = { script: new Map(), user: new Map(), document: new Map() }
+
+  return {
+    getScriptProperties: () => createProperties(stores.script),
+    getUserProperties: () => createProperties(stores.user),
+    getDocumentProperties: () => createProperties(stores.document),
+  }
+}
+
+function createProperties(store) {
+  return {
+    getProperty: (key) => store.get(String(key)) ?? null,
+    getProperties: () => Object.fromEntries(store),
+    getKeys: () => [...store.keys()],
+    setProperty(key, value) {
+      store.set(String(key), String(value))
+      return this
+    },
+    setProperties(properties, deleteAllOthers) {
+      if (deleteAllOthers) store.clear()
+      for (const [key, value] of Object.entries(properties)) {
+        store.set(key, String(value))
+      }
+      return this
+    },
+    deleteProperty(key) {
+      store.delete(String(key))
+      return this
+    },
+    deleteAllProperties() {
+      store.clear()
+      return this
+    },
+  }
+}
+
+function createCacheService(clock) {
+  const caches = {
+    script: createCache(clock),
+    user: createCache(clock),
+    document: createCache(clock),
+  }
+
+  return {
+    getScriptCache: () => caches.script,
+    getUserCache: () => caches.user,
+    getDocumentCache: () => caches.document,
+  }
+}
+
+function createCache(clock) {
+  const entries = new Map()
+
+  const read = (key) => {
+    const entry = entries.get(key)
+    if (!entry) return null
+    if (entry.expiresAt <= clock.now()) {
+      entries.delete(key)
+      return null
+    }
+    return entry.value
+  }
+
+  // Same limits as Apps Script, which throws rather than truncating
+  const write = (key, value, expirationInSeconds) => {
+    const text = String(value)
+    if (String(key).length > CACHE_MAX_KEY_LENGTH) {
+      throw new Error(`Argument too large: key (${String(key).length} characters)`)
+    }
+    if (Buffer.byteLength(text) > CACHE_MAX_VALUE_BYTES) {
+      throw new Error(`Argument too large: value (${Buffer.byteLength(text)} bytes)`)
+    }
+    const seconds = Math.min(
+      expirationInSeconds ?? CACHE_DEFAULT_EXPIRATION_SECONDS,
+      CACHE_MAX_EXPIRATION_SECONDS,
+    )
+    entries.set(String(key), { value: text, expiresAt: clock.now() + seconds * 1000 })
+  }
+
+  return {
+    get: (key) => read(String(key)),
+    getAll: (keys) =>
+      Object.fromEntries(
+        keys
+          .map((key) => [key, read(String(key))])
+          .filter(([, value]) => value !== null),
+      ),
+    put: (key, value, expirationInSeconds) => write(key, value, expirationInSeconds),
+    putAll(values, expirationInSeconds) {
+      for (const [key, value] of Object.entries(values)) {
+        write(key, value, expirationInSeconds)
+      }
+    },
+    remove: (key) => {
+      entries.delete(String(key))
+    },
+    removeAll: (keys) => {
+      for (const key of keys) entries.delete(String(key))
+    },
+  }
+}
+
+/**
+ * Locks of the same scope share one owner, so a lock taken from Node through
+ * runtime.services blocks the script until it is released.
+ */
+function createLockService(clock) {
+  const scopes = { script: {}, user: {}, document: {} }
+
+  return {
+    getScriptLock: () => createLock(scopes.script, clock),
+    getUserLock: () => createLock(scopes.user, clock),
+    getDocumentLock: () => createLock(scopes.document, clock),
+  }
+}
+
+function createLock(scope, clock) {
+  const lock = {
+    tryLock(timeoutInMillis) {
+      if (scope.owner && scope.owner !== lock) {
+        clock.advance(Number(timeoutInMillis) || 0)
+        return false
+      }
+      scope.owner = lock
+      return true
+    },
+    waitLock(timeoutInMillis) {
+      if (!lock.tryLock(timeoutInMillis)) {
+        throw new Error(
+          'Lock timeout: another process was holding the lock for too long.',
+        )
+      }
+    },
+    releaseLock() {
+      if (scope.owner === lock) scope.owner = undefined
+    },
+    hasLock: () => scope.owner === lock,
+  }
+  return lock
+}
+
+/**
+ * UrlFetchApp answering from configured routes. Each route matches a URL string,
+ * RegExp or predicate and an optional method, and responds with
+ * { status, headers, body } or a function of the request returning one. Requests
+ * without a matching route throw, and every request is recorded.
+ */
+function createUrlFetchApp(fetch = {}) {
+  const routes = [...(fetch.routes ?? [])]
+  const requests = []
+
+  const send = (url, params = {}) => {
+    const request = getRequest(url, params)
+    requests.push(request)
+
+    const route = routes.find((candidate) => matchesRoute(candidate, request))
+    if (!route) {
+      if (fetch.handler) return createHttpResponse(fetch.handler(request))
+      throw new Error(`Unexpected request: ${request.method.toUpperCase()} ${url}`)
+    }
+    if (route.once) routes.splice(routes.indexOf(route), 1)
+
+    const response = createHttpResponse(
+      typeof route.response === 'function' ? route.response(request) : route.response,
+    )
+    const status = response.getResponseCode()
+    if (status >= 400 && !params.muteHttpExceptions) {
+      throw new Error(
+        `Request failed for ${url} returned code ${status}. Truncated server response: ${response
+          .getContentText()
+          .slice(0, 200)} (use muteHttpExceptions option to examine full response)`,
+      )
+    }
+    return response
+  }
+
+  return {
+    fetch: send,
+    fetchAll: (requestList) =>
+      requestList.map((entry) =>
+        typeof entry === 'string' ? send(entry) : send(entry.url, entry),
+      ),
+    getRequest,
+    // Adds a route; later requests can match it
+    respond(route) {
+      routes.push(route)
+      return this
+    },
+    get requests() {
+      return requests
+    },
+  }
+}
+
+function getRequest(url, params = {}) {
+  const headers = { ...(params.headers ?? {}) }
+  if (params.contentType) headers['Content-Type'] = params.contentType
+
+  return {
+    url,
+    method: (params.method ?? 'get').toLowerCase(),
+    headers,
+    payload: params.payload ?? '',
+    contentType: params.contentType,
+    followRedirects: params.followRedirects ?? true,
+    muteHttpExceptions: params.muteHttpExceptions ?? false,
+    validateHttpsCertificates: params.validateHttpsCertificates ?? true,
+  }
+}
+
+function matchesRoute(route, request) {
+  if (route.method && route.method.toLowerCase() !== request.method) return false
+  if (route.url === undefined) return true
+  if (typeof route.url === 'string') return route.url === request.url
+  if (route.url instanceof RegExp) return route.url.test(request.url)
+  return route.url(request.url)
+}
+
+function createHttpResponse({ status = 200, headers = {}, body = '' } = {}) {
+  const buffer =
+    typeof body === 'string' || Array.isArray(body)
+      ? toBuffer(body)
+      : Buffer.from(JSON.stringify(body))
+  const contentType =
+    Object.entries(headers).find(
+      ([name]) => name.toLowerCase() === 'content-type',
+    )?.[1] ?? null
+
+  return {
+    getResponseCode: () => status,
+    getContentText: (charset) =>
+      buffer.toString(charset === 'US_ASCII' ? 'latin1' : 'utf8'),
+    getContent: () => toSignedBytes(buffer),
+    getAllHeaders: () => ({ ...headers }),
+    getHeaders: () =>
+      Object.fromEntries(
+        Object.entries(headers).map(([name, value]) => [
+          name,
+          Array.isArray(value) ? value.join(', ') : value,
+        ]),
+      ),
+    getBlob: () => createBlob(buffer, contentType, null),
+    getAs: (type) => createBlob(buffer, type, null),
+  }
+}
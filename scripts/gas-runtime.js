@@ -0,0 +1,193 @@
+import { access, readdir, readFile } from 'node:fs/promises'
+import { dirname, join, relative, resolve } from 'node:path'
+import vm from 'node:vm'
+import { createServices } from './gas-runtime-services.js'
+
+const SCRIPT_EXTENSIONS = ['.js', '.gs']
+
+/**
+ * Creates an emulated Apps Script runtime: one vm context shared by every loaded
+ * file, like the global scope of an Apps Script project, with in-memory services
+ * as globals. Values created in Node come from another realm, so use evaluate to
+ * create values such as Dates that the scripts check with instanceof.
+ *
+ * Options: now (start of virtual time in milliseconds), timeZone and email for
+ * Session, fetch ({ routes, handler } for UrlFetchApp), echo (print log output)
+ * and shareWith (another runtime whose services and clock this one uses, as a
+ * library and the script that adds it do).
+ */
+export function createGasRuntime(options = {}) {
+  const clock = options.shareWith?.clock ?? createClock(options.now ?? Date.now())
+  const services = options.shareWith?.services ?? createServices({ ...options, clock })
+  const context = vm.createContext({ ...services })
+  installClock(context, clock)
+  const builtInNames = new Set(Object.getOwnPropertyNames(context))
+
+  const runtime = {
+    context,
+    services,
+    clock,
+    files: [],
+
+    /**
+     * Runs a script file in the shared global scope.
+     */
+    load(code, fileName = `file${runtime.files.length + 1}.js`) {
+      vm.runInContext(code, context, { filename: fileName })
+      runtime.files.push(fileName)
+      return runtime
+    },
+
+    /**
+     * Loads the .js and .gs files of a directory in Apps Script's order: the
+     * filePushOrder of the .clasp.json that pushes the directory, then the rest
+     * alphabetically. Pass filePushOrder to override the .clasp.json.
+     */
+    async loadProject(dir, { filePushOrder } = {}) {
+      const rootDir = resolve(dir)
+      const order = filePushOrder
+        ? filePushOrder.map((path) => resolve(path))
+        : await findFilePushOrder(rootDir)
+
+      for (const filePath of orderFiles(await listScriptFiles(rootDir), order)) {
+        runtime.load(await readFile(filePath, 'utf8'), relative(rootDir, filePath))
+      }
+      return runtime
+    },
+
+    evaluate(code) {
+      return vm.runInContext(code, context, { filename: 'evaluate.js' })
+    },
+
+    /**
+     * Calls a global function of the loaded files.
+     */
+    call(name, ...args) {
+      const target = context[name]
+      if (typeof target !== 'function') {
+        throw new TypeError(`${name} is not a global function of the loaded files`)
+      }
+      return target.apply(undefined, args)
+    },
+
+    /**
+     * Returns the object a consuming script sees under the library identifier:
+     * the top-level functions and vars of the loaded files, without consts, lets
+     * and classes, which Apps Script does not expose.
+     */
+    asLibrary() {
+      const library = {}
+      for (const name of Object.getOwnPropertyNames(context)) {
+        if (builtInNames.has(name)) continue
+        Object.defineProperty(library, name, {
+          enumerable: true,
+          get: () => context[name],
+        })
+      }
+      return Object.freeze(library)
+    },
+
+    /**
+     * Adds a loaded runtime as a library of this one, under its identifier.
+     */
+    addLibrary(identifier, libraryRuntime) {
+      context[identifier] = libraryRuntime.asLibrary()
+      builtInNames.add(identifier)
+      return runtime
+    },
+  }
+
+  return runtime
+}
+
+/**
+ * Loads a built library directory, such as dist/gas-lib, and returns the runtime
+ * of a consuming script that adds it under the identifier. The library and the
+ * script share the same services, but like in Apps Script each has its own global
+ * scope, so instanceof checks on objects passed between them fail.
+ */
+export async function loadLibrary(dir, identifier = 'Utils', options = {}) {
+  const library = await createGasRuntime(options).loadProject(dir, options)
+  const script = createGasRuntime({ ...options, shareWith: library })
+  return script.addLibrary(identifier, library)
+}
+
+function createClock(start) {
+  let offset = 0
+  return {
+    now: () => start + offset,
+    advance(milliseconds) {
+      offset += Math.max(0, milliseconds)
+    },
+  }
+}
+
+// Date.now() and new Date() follow the virtual clock, which only Utilities.sleep
+// and clock.advance move, so runs are repeatable
+function installClock(context, clock) {
+  const install = vm.runInContext(
+    `(now) => {
+      const RealDate = Date
+      function VirtualDate(...args) {
+        if (!new.target) return new RealDate(now()).toString()
+        return Reflect.construct(RealDate, args.length === 0 ? [now()] : args, new.target)
+      }
+      VirtualDate.prototype = RealDate.prototype
+      VirtualDate.now = now
+      VirtualDate.parse = RealDate.parse
+      VirtualDate.UTC = RealDate.UTC
+      Object.defineProperty(RealDate.prototype, 'constructor', { value: VirtualDate })
+      globalThis.Date = VirtualDate
+    }`,
+    context,
+  )
+  install(() => clock.now())
+}
+
+async function findFilePushOrder(rootDir) {
+  let dir = rootDir
+  while (true) {
+    const configPath = join(dir, '.clasp.json')
+    if (await fileExists(configPath)) {
+      const config = JSON.parse(await readFile(configPath, 'utf8'))
+      if (resolve(dir, config.rootDir ?? '.') === rootDir) {
+        return (config.filePushOrder ?? []).map((path) => resolve(dir, path))
+      }
+    }
+    if (dirname(dir) === dir) return []
+    dir = dirname(dir)
+  }
+}
+
+// Walks the tree by hand: recursive readdir and Dirent.parentPath need newer Node
+// versions than package.json supports
+async function listScriptFiles(dir) {
+  const filePaths = []
+  for (const entry of await readdir(dir, { withFileTypes: true })) {
+    const entryPath = join(dir, entry.name)
+    if (entry.isDirectory()) {
+      filePaths.push(...(await listScriptFiles(entryPath)))
+    } else if (
+      entry.isFile() &&
+      SCRIPT_EXTENSIONS.some((extension) => entry.name.endsWith(extension))
+    ) {
+      filePaths.push(entryPath)
+    }
+  }
+  return filePaths
+}
+
+function orderFiles(filePaths, filePushOrder) {
+  const listed = filePushOrder.filter((filePath) => filePaths.includes(filePath))
+  const rest = filePaths.filter((filePath) => !listed.includes(filePath)).sort()
+  return [...listed, ...rest]
+}
+
+async function fileExists(filePath) {
+  try {
+    await access(filePath)
+    return true
+  } catch (_error) {
+    return false
+  }
+}
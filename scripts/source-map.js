@@ -0,0 +1,137 @@
+import { dirname, relative } from 'node:path'
+
+const BASE64_DIGITS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/'
+
+/**
+ * Decodes the mappings of a source map into one array of segments per generated
+ * line. Each segment is [generatedColumn, sourceIndex, sourceLine, sourceColumn],
+ * with absolute zero-based values; segments without a source are dropped.
+ */
+export function decodeMappings(mappings) {
+  const lines = []
+  const state = [0, 0, 0, 0]
+
+  for (const lineText of mappings.split(';')) {
+    const segments = []
+    state[0] = 0
+
+    for (const segmentText of lineText.split(',')) {
+      if (segmentText === '') continue
+      const values = decodeVlq(segmentText)
+      for (let index = 0; index < Math.min(values.length, 4); index++) {
+        state[index] += values[index]
+      }
+      if (values.length >= 4) segments.push([...state])
+    }
+
+    lines.push(segments)
+  }
+
+  return lines
+}
+
+/**
+ * Encodes segments from decodeMappings back into a mappings string.
+ */
+export function encodeMappings(lines) {
+  const previous = [0, 0, 0, 0]
+
+  return lines
+    .map((segments) => {
+      previous[0] = 0
+      return segments
+        .map((segment) => {
+          const text = segment.map((value, index) => encodeVlq(value - previous[index]))
+          segment.forEach((value, index) => {
+            previous[index] = value
+          })
+          return text.join('')
+        })
+        .join(',')
+    })
+    .join(';')
+}
+
+/**
+ * Returns a copy of a source map with each segment passed through remap, which
+ * returns the new [sourcePath, sourceLine, sourceColumn] or undefined to drop it.
+ * Source paths are written relative to the map file.
+ */
+export function remapSourceMap(map, mapFilePath, remap) {
+  const sources = []
+  const lines = decodeMappings(map.mappings).map((segments) =>
+    segments.flatMap(([column, sourceIndex, line, sourceColumn]) => {
+      const target = remap(map.sources[sourceIndex], line, sourceColumn)
+      if (!target) return []
+
+      const sourcePath = relative(dirname(mapFilePath), target[0])
+      if (!sources.includes(sourcePath)) sources.push(sourcePath)
+      return [[column, sources.indexOf(sourcePath), target[1], target[2]]]
+    }),
+  )
+
+  return {
+    version: 3,
+    file: map.file,
+    sourceRoot: '',
+    sources,
+    names: [],
+    mappings: encodeMappings(lines),
+  }
+}
+
+/**
+ * Returns the original position of a one-based generated line and column, or
+ * undefined if the line has no mapping. Without a column the first mapping of the
+ * line is used.
+ */
+export function findOriginalPosition(map, line, column) {
+  const segments = decodeMappings(map.mappings)[line - 1] ?? []
+  if (segments.length === 0) return undefined
+
+  const generatedColumn = column === undefined ? 0 : column - 1
+  const segment =
+    segments.findLast((candidate) => candidate[0] <= generatedColumn) ?? segments[0]
+
+  return {
+    source: map.sources[segment[1]],
+    line: segment[2] + 1,
+    column: segment[3] + 1,
+  }
+}
+
+function decodeVlq(text) {
+  const values = []
+  let value = 0
+  let shift = 0
+
+  for (const character of text) {
+    const digit = BASE64_DIGITS.indexOf(character)
+    if (digit === -1) throw new Error(`Invalid source map character: ${character}`)
+
+    value += (digit & 31) << shift
+    if (digit & 32) {
+      shift += 5
+    } else {
+      values.push(value & 1 ? -(value >>> 1) : value >>> 1)
+      value = 0
+      shift = 0
+    }
+  }
+
+  return values
+}
+
+function encodeVlq(value) {
+  let vlq = value < 0 ? (-value << 1) | 1 : value << 1
+  let text = ''
+
+  do {
+    let digit = vlq & 31
+    vlq >>>= 5
+    if (vlq > 0) digit |= 32
+    text += BASE64_DIGITS[digit]
+  } while (vlq > 0)
+
+  return text
+}